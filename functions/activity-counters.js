@@ -0,0 +1,111 @@
+/**
+ * SECURYFLEX ACTIVITY COUNTERS
+ * Incremental per-user activity counts for threat detection
+ *
+ * Activity is counted in sharded time buckets:
+ *   activity_counters/{userId}/activity_buckets/{bucketStart}_{shard}
+ * Each bucket holds counts per collection, per event type and per
+ * collection/event type pair, so activity_count rules can be evaluated
+ * without re-reading the audit history. Windows are approximated to whole
+ * buckets. Buckets expire through a TTL policy on expiresAt.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const BUCKET_MS = 5 * 60 * 1000;
+const COUNTER_SHARDS = 4;
+
+// Keep buckets a little longer than the longest rule window (24 hours)
+const BUCKET_RETENTION_MS = 25 * 60 * 60 * 1000;
+
+/**
+ * Counter keys incremented for one activity
+ */
+function getCounterKeys(collection, eventType) {
+  return [
+    'total',
+    `c:${collection}`,
+    `e:${eventType}`,
+    `ce:${collection}:${eventType}`
+  ];
+}
+
+/**
+ * Counter key that matches an activity_count rule
+ */
+function getRuleCounterKey(rule) {
+  const anyCollection = rule.collection === '*';
+  const anyEvent = rule.eventType === '*';
+
+  if (anyCollection && anyEvent) return 'total';
+  if (anyEvent) return `c:${rule.collection}`;
+  if (anyCollection) return `e:${rule.eventType}`;
+  return `ce:${rule.collection}:${rule.eventType}`;
+}
+
+/**
+ * Get the activity bucket collection of a user
+ */
+function bucketsRef(userId) {
+  return db.collection('activity_counters').doc(userId).collection('activity_buckets');
+}
+
+/**
+ * Count one activity of a user in the current bucket
+ */
+async function recordActivity(userId, { collection, eventType }, now = Date.now()) {
+  const bucketStart = Math.floor(now / BUCKET_MS) * BUCKET_MS;
+  const shard = Math.floor(Math.random() * COUNTER_SHARDS);
+
+  const counts = {};
+  for (const key of getCounterKeys(collection, eventType)) {
+    counts[key] = FieldValue.increment(1);
+  }
+
+  await bucketsRef(userId).doc(`${bucketStart}_${shard}`).set({
+    userId,
+    bucketStart,
+    expiresAt: new Date(bucketStart + BUCKET_RETENTION_MS),
+    counts
+  }, { merge: true });
+}
+
+/**
+ * Load the user's buckets covering the last windowMs
+ */
+async function loadActivityBuckets(userId, windowMs, now = Date.now()) {
+  if (windowMs <= 0) return [];
+
+  const firstBucket = Math.floor((now - windowMs) / BUCKET_MS) * BUCKET_MS;
+  const snapshot = await bucketsRef(userId)
+    .where('bucketStart', '>=', firstBucket)
+    .get();
+
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Count activity matching a rule in its window
+ */
+function countRuleActivity(rule, buckets, now) {
+  const firstBucket = Math.floor((now - rule.windowMinutes * 60 * 1000) / BUCKET_MS) * BUCKET_MS;
+  const key = getRuleCounterKey(rule);
+
+  return buckets
+    .filter(bucket => bucket.bucketStart >= firstBucket)
+    .reduce((sum, bucket) => sum + (bucket.counts?.[key] || 0), 0);
+}
+
+module.exports = {
+  countRuleActivity,
+  getCounterKeys,
+  loadActivityBuckets,
+  recordActivity
+};
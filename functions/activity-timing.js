@@ -0,0 +1,151 @@
+/**
+ * SECURYFLEX ACTIVITY TIMING
+ * Shift-aware timing anomaly detection in Europe/Amsterdam time
+ *
+ * Guards mostly work night and weekend shifts, so activity is judged
+ * against the user's own schedule:
+ * - Activity during or near an assigned shift is normal
+ * - Otherwise it is compared with the user's learned active hours
+ *   (activity_baselines/{userId})
+ * - Until the baseline is mature, Nederlandse business hours apply
+ *   (weekends and public holidays count as outside business hours)
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getAmsterdamTime, isOutsideBusinessHours } = require('./dutch-calendar');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+// Activity up to 2 hours before or after a shift counts as shift activity
+const SHIFT_MARGIN_MS = 2 * 60 * 60 * 1000;
+
+// Baseline needs 100 samples; hours with < 2% of activity are unusual
+const BASELINE_MIN_SAMPLES = 100;
+const BASELINE_MIN_SHARE = 0.02;
+
+const INACTIVE_SHIFT_STATUSES = ['draft', 'cancelled', 'noShow', 'expired'];
+
+// Per-instance caches so a burst of writes does not re-read the schedule
+// and baseline each time. Learned hours are written on every activity, so
+// no sample depends on the instance staying alive.
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_USERS = 1000;
+
+const shiftCache = new Map();
+const baselineCache = new Map();
+
+/**
+ * Store a cache entry, dropping the oldest user beyond MAX_CACHED_USERS
+ */
+function remember(cache, userId, entry) {
+  cache.delete(userId);
+  cache.set(userId, entry);
+  if (cache.size > MAX_CACHED_USERS) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * The user's latest shifts, including those starting before the cache
+ * entry expires
+ */
+async function loadRecentShifts(userId, now) {
+  const cached = shiftCache.get(userId);
+  if (cached && now - cached.fetchedAt < CACHE_TTL_MS) return cached.shifts;
+
+  const snapshot = await db.collection('shifts')
+    .where('assignedGuardId', '==', userId)
+    .where('startTime', '<=', new Date(now + SHIFT_MARGIN_MS + CACHE_TTL_MS))
+    .orderBy('startTime', 'desc')
+    .limit(5)
+    .get();
+
+  const shifts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  remember(shiftCache, userId, { fetchedAt: now, shifts });
+  return shifts;
+}
+
+/**
+ * Find an active shift of the user around the given moment
+ */
+async function findNearbyShift(userId, now) {
+  const shifts = await loadRecentShifts(userId, now);
+
+  return shifts.find(shift => !INACTIVE_SHIFT_STATUSES.includes(shift.status) &&
+    shift.startTime && shift.startTime.toMillis() <= now + SHIFT_MARGIN_MS &&
+    shift.endTime && shift.endTime.toMillis() >= now - SHIFT_MARGIN_MS) || null;
+}
+
+/**
+ * The user's learned active hours (null before the first flush)
+ */
+async function loadBaseline(userId, now) {
+  const cached = baselineCache.get(userId);
+  if (cached && now - cached.fetchedAt < CACHE_TTL_MS) return cached.baseline;
+
+  const doc = await db.collection('activity_baselines').doc(userId).get();
+  const baseline = doc.exists ? doc.data() : null;
+  remember(baselineCache, userId, { fetchedAt: now, baseline });
+  return baseline;
+}
+
+/**
+ * Check whether an hour (with its neighbours) is usual for the user
+ */
+function isUsualHour(baseline, hour) {
+  const hours = baseline.hours || {};
+  const nearbyCount = [hour - 1, hour, hour + 1]
+    .map(h => hours[(h + 24) % 24] || 0)
+    .reduce((sum, count) => sum + count, 0);
+
+  return nearbyCount / baseline.sampleCount >= BASELINE_MIN_SHARE;
+}
+
+/**
+ * Learn the user's active hours (one increment on the hour's counter)
+ */
+async function recordActiveHour(userId, hour) {
+  await db.collection('activity_baselines').doc(userId).set({
+    userId,
+    sampleCount: FieldValue.increment(1),
+    hours: { [hour]: FieldValue.increment(1) },
+    updatedAt: new Date()
+  }, { merge: true });
+}
+
+/**
+ * Judge the timing of a user's activity
+ *
+ * Returns { anomalous, reason, hour } where reason is near_shift, baseline
+ * or business_hours.
+ */
+async function assessActivityTiming(userId, now = Date.now()) {
+  const { hour } = getAmsterdamTime(now);
+
+  const [shift, baseline] = await Promise.all([
+    findNearbyShift(userId, now),
+    loadBaseline(userId, now)
+  ]);
+
+  // Learn from this activity after reading, so it does not judge itself
+  await recordActiveHour(userId, hour);
+
+  if (shift) {
+    return { anomalous: false, reason: 'near_shift', shiftId: shift.id, hour };
+  }
+
+  if (baseline && baseline.sampleCount >= BASELINE_MIN_SAMPLES) {
+    return { anomalous: !isUsualHour(baseline, hour), reason: 'baseline', hour };
+  }
+
+  return { anomalous: isOutsideBusinessHours(now), reason: 'business_hours', hour };
+}
+
+module.exports = {
+  assessActivityTiming
+};
@@ -5,6 +5,8 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { getExcludedUserIds } = require('./gdpr-rights');
+const { getUsersWithConsent } = require('./consent-ledger');
 
 // Initialize Firebase Admin SDK
 if (!admin.apps.length) {
@@ -170,6 +172,14 @@ async function aggregateCompanyDailyAnalytics(companyId, date) {
   try {
     console.log(`Aggregating daily analytics for company ${companyId} on ${date}`);
     
+    // Only users who consent to analytics and did not restrict or object
+    // to it (AVG artikel 18 en 21) are counted
+    const [consentedUserIds, excludedUserIds] = await Promise.all([
+      getUsersWithConsent('analytics'),
+      getExcludedUserIds('analytics')
+    ]);
+    const mayProcess = (userId) => consentedUserIds.has(userId) && !excludedUserIds.has(userId);
+    
     // Get all jobs for the company
     const jobsSnapshot = await db
       .collection('jobs')
@@ -213,6 +223,8 @@ async function aggregateCompanyDailyAnalytics(companyId, date) {
       
       eventsSnapshot.docs.forEach(eventDoc => {
         const event = eventDoc.data();
+        if (event.userId && !mayProcess(event.userId)) return;
+        
         const source = event.source || 'unknown';
         
         if (!sourceBreakdown[source]) {
@@ -244,6 +256,8 @@ async function aggregateCompanyDailyAnalytics(companyId, date) {
     
     applicationsSnapshot.docs.forEach(appDoc => {
       const appData = appDoc.data();
+      if (appData.guardId && !mayProcess(appData.guardId)) return;
+      
       const appDate = appData.applicationDate?.toDate();
       
       if (appDate && appDate.toISOString().split('T')[0] === date) {
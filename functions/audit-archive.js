@@ -0,0 +1,294 @@
+/**
+ * SECURYFLEX AUDIT LOG ARCHIVAL
+ * Retention pipeline for security_audit (Nederlandse compliance: 1 year)
+ *
+ * Expired audit records are archived per Amsterdam day before deletion:
+ * - Records are streamed as gzipped NDJSON to Cloud Storage
+ *   (audit-archives/security_audit/{date}/part-{n}.ndjson.gz)
+ * - Each part is downloaded again and checked against its SHA-256
+ *   checksum and record count before any record is deleted
+ * - audit_archives/{date} and a manifest.json next to the parts list all
+ *   parts of a day; parts are never overwritten
+ * - Archived days can be restored into audit_restores for investigations
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { amsterdamTimeToDate, getDateKey, startOfAmsterdamDay } = require('./dutch-calendar');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+const storage = getStorage();
+
+const ARCHIVE_PREFIX = 'audit-archives/security_audit';
+const PAGE_SIZE = 1000;
+
+// Restored records are removed again after 30 days (TTL on expiresAt)
+const RESTORE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Convert Firestore values to JSON, keeping timestamps recognisable
+ */
+function toArchiveValue(value) {
+  if (value instanceof Timestamp) return { $timestamp: value.toDate().toISOString() };
+  if (value instanceof Date) return { $timestamp: value.toISOString() };
+  if (Array.isArray(value)) return value.map(toArchiveValue);
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) result[key] = toArchiveValue(nested);
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Convert archived JSON back to Firestore values
+ */
+function fromArchiveValue(value) {
+  if (Array.isArray(value)) return value.map(fromArchiveValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.$timestamp === 'string' && Object.keys(value).length === 1) {
+      return new Date(value.$timestamp);
+    }
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) result[key] = fromArchiveValue(nested);
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Stream transform that hashes the bytes passing through
+ */
+function createHashTap(hash) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Page through the audit records of an Amsterdam day
+ */
+async function* auditRecordsOfDay(dayStart, dayEnd) {
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection('security_audit')
+      .where('timestamp', '>=', dayStart)
+      .where('timestamp', '<', dayEnd)
+      .orderBy('timestamp')
+      .limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const page = await query.get();
+    if (page.empty) return;
+
+    for (const doc of page.docs) yield doc;
+    lastDoc = page.docs[page.docs.length - 1];
+  }
+}
+
+/**
+ * Upload the audit records of a day as one gzipped NDJSON part
+ */
+async function uploadArchivePart(file, dayStart, dayEnd) {
+  const archivedIds = [];
+  const hash = crypto.createHash('sha256');
+
+  async function* lines() {
+    for await (const doc of auditRecordsOfDay(dayStart, dayEnd)) {
+      archivedIds.push(doc.id);
+      yield JSON.stringify({ id: doc.id, data: toArchiveValue(doc.data()) }) + '\n';
+    }
+  }
+
+  await pipeline(
+    Readable.from(lines()),
+    zlib.createGzip(),
+    createHashTap(hash),
+    file.createWriteStream({ resumable: false, contentType: 'application/gzip' })
+  );
+
+  return { archivedIds, sha256: hash.digest('hex') };
+}
+
+/**
+ * Download a part and check its checksum and record count
+ */
+async function verifyArchivePart(file, expected) {
+  const hash = crypto.createHash('sha256');
+  let recordCount = 0;
+  let pending = '';
+
+  await pipeline(
+    file.createReadStream(),
+    createHashTap(hash),
+    zlib.createGunzip(),
+    new Writable({
+      write(chunk, encoding, callback) {
+        const parts = (pending + chunk.toString('utf8')).split('\n');
+        pending = parts.pop();
+        recordCount += parts.filter(line => line.length > 0).length;
+        callback();
+      }
+    })
+  );
+
+  const sha256 = hash.digest('hex');
+  if (sha256 !== expected.sha256 || recordCount !== expected.recordCount) {
+    throw new Error(`Archive verification failed for ${file.name}: ` +
+      `${recordCount}/${expected.recordCount} records, checksum ${sha256}`);
+  }
+}
+
+/**
+ * Archive and then delete the audit records of one Amsterdam day
+ */
+async function archiveAuditDay(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const dayStart = amsterdamTimeToDate(year, month, day);
+  const dayEnd = startOfAmsterdamDay(dayStart, 1);
+
+  const archiveRef = db.collection('audit_archives').doc(dateKey);
+  const archiveDoc = await archiveRef.get();
+  const parts = archiveDoc.exists ? archiveDoc.data().parts || [] : [];
+
+  const bucket = storage.bucket();
+  const path = `${ARCHIVE_PREFIX}/${dateKey}/part-${parts.length + 1}.ndjson.gz`;
+  const file = bucket.file(path);
+
+  const { archivedIds, sha256 } = await uploadArchivePart(file, dayStart, dayEnd);
+
+  if (archivedIds.length === 0) {
+    await file.delete({ ignoreNotFound: true });
+    return { date: dateKey, recordCount: 0 };
+  }
+
+  const part = { path, recordCount: archivedIds.length, sha256, createdAt: new Date().toISOString() };
+
+  // Never delete anything that is not verifiably in the archive
+  await verifyArchivePart(file, part);
+
+  const allParts = [...parts, part];
+  const manifest = {
+    collection: 'security_audit',
+    date: dateKey,
+    timeZone: 'Europe/Amsterdam',
+    format: 'ndjson+gzip',
+    recordCount: allParts.reduce((sum, p) => sum + p.recordCount, 0),
+    parts: allParts
+  };
+
+  await bucket.file(`${ARCHIVE_PREFIX}/${dateKey}/manifest.json`).save(
+    JSON.stringify(manifest, null, 2),
+    { resumable: false, contentType: 'application/json' }
+  );
+
+  await archiveRef.set({
+    ...manifest,
+    status: 'archived',
+    updatedAt: new Date()
+  });
+
+  const writer = db.bulkWriter();
+  archivedIds.forEach(id => writer.delete(db.collection('security_audit').doc(id)));
+  await writer.close();
+
+  // Deleted entries are covered by the archive from now on
+  const chains = await db.collection('audit_chains').where('chainDate', '==', dateKey).get();
+  await Promise.all(chains.docs.map(doc => doc.ref.update({ archived: true, archivedAt: new Date() })));
+
+  return { date: dateKey, recordCount: archivedIds.length, path };
+}
+
+/**
+ * Archive expired audit days, oldest first, within a time budget
+ */
+async function archiveExpiredAuditLogs({ retentionCutoff, timeBudgetMs }) {
+  const startedAt = Date.now();
+  const archived = [];
+
+  while (Date.now() - startedAt < timeBudgetMs) {
+    const oldest = await db.collection('security_audit')
+      .where('timestamp', '<', retentionCutoff)
+      .orderBy('timestamp')
+      .limit(1)
+      .get();
+
+    if (oldest.empty) break;
+
+    const dateKey = getDateKey(oldest.docs[0].data().timestamp.toDate());
+
+    // Only archive days that have fully passed the retention period
+    if (startOfAmsterdamDay(oldest.docs[0].data().timestamp.toDate(), 1) > retentionCutoff) break;
+
+    archived.push(await archiveAuditDay(dateKey));
+  }
+
+  return archived;
+}
+
+/**
+ * Restore an archived day into audit_restores/{date}/entries
+ */
+async function restoreAuditArchive(dateKey, adminId) {
+  const archiveDoc = await db.collection('audit_archives').doc(dateKey).get();
+
+  if (!archiveDoc.exists) {
+    return null;
+  }
+
+  const { parts = [] } = archiveDoc.data();
+  const bucket = storage.bucket();
+  const restoreRef = db.collection('audit_restores').doc(dateKey);
+  const expiresAt = new Date(Date.now() + RESTORE_RETENTION_MS);
+  const writer = db.bulkWriter();
+  let recordCount = 0;
+
+  for (const part of parts) {
+    const file = bucket.file(part.path);
+    await verifyArchivePart(file, part);
+
+    const [contents] = await file.download();
+    const lines = zlib.gunzipSync(contents).toString('utf8').split('\n').filter(line => line.length > 0);
+
+    for (const line of lines) {
+      const { id, data } = JSON.parse(line);
+      writer.set(restoreRef.collection('entries').doc(id), {
+        ...fromArchiveValue(data),
+        restoredFrom: part.path,
+        expiresAt
+      });
+      recordCount++;
+    }
+  }
+
+  await writer.close();
+
+  await restoreRef.set({
+    date: dateKey,
+    recordCount,
+    restoredBy: adminId,
+    restoredAt: new Date(),
+    expiresAt,
+    parts: FieldValue.arrayUnion(...parts.map(part => part.path))
+  }, { merge: true });
+
+  return { date: dateKey, recordCount };
+}
+
+module.exports = {
+  archiveExpiredAuditLogs,
+  restoreAuditArchive
+};
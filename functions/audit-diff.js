@@ -0,0 +1,210 @@
+/**
+ * SECURYFLEX AUDIT CHANGE TRACKING
+ * Field-level before/after diffs for audited collections
+ *
+ * Which collections are audited by securityMonitor, and which of their
+ * fields, is configured in audit_monitoring_config/{collection} on top of
+ * the built-in defaults. Personal data (see pii-redaction.js) never enters
+ * the audit trail: changes to it are recorded with redacted values.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('./redacting-logger');
+const { INTERNAL_COLLECTIONS } = require('./internal-collections');
+const { getSensitiveFieldMask, redactString } = require('./pii-redaction');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+// Config is re-read from Firestore at most once per minute per instance
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+// Limits keeping audit entries small
+const MAX_CHANGES = 50;
+const MAX_VALUE_LENGTH = 500;
+
+
+/**
+ * Internal collections written by the functions themselves; monitoring
+ * them would retrigger securityMonitor on its own writes
+ */
+const EXCLUDED_COLLECTIONS = INTERNAL_COLLECTIONS;
+
+/**
+ * Default audited collections; fields ['*'] audits every field
+ */
+const DEFAULT_MONITORING_CONFIG = {
+  certificates: {
+    enabled: true,
+    fields: ['*'],
+    ignoreFields: ['updatedAt', 'lastModified']
+  },
+  users: {
+    enabled: true,
+    fields: ['*'],
+    ignoreFields: ['updatedAt', 'lastModified', 'lastLoginAt', 'lastActive', 'lastSeen', 'fcmToken', 'fcmTokens']
+  },
+  gdpr_requests: {
+    enabled: true,
+    fields: ['*'],
+    ignoreFields: ['updatedAt', 'lastModified']
+  }
+};
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+/**
+ * Validate a collection's monitoring config, returning a list of errors
+ */
+function validateMonitoringConfig(config) {
+  const errors = [];
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+
+  if (typeof config.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (!isStringList(config.fields) || config.fields.length === 0) {
+    errors.push('fields must be a non-empty list of field names (or ["*"])');
+  }
+  if (config.ignoreFields !== undefined && !isStringList(config.ignoreFields)) {
+    errors.push('ignoreFields must be a list of field names');
+  }
+
+  return errors;
+}
+
+/**
+ * Load the monitoring config per collection (defaults merged with Firestore)
+ */
+async function loadMonitoringConfig({ forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedConfig && Date.now() - cachedAt < CONFIG_CACHE_TTL_MS) {
+    return cachedConfig;
+  }
+
+  const config = {};
+  for (const [collection, entry] of Object.entries(DEFAULT_MONITORING_CONFIG)) {
+    config[collection] = { ...entry, source: 'default' };
+  }
+
+  const snapshot = await db.collection('audit_monitoring_config').get();
+  snapshot.docs.forEach(doc => {
+    if (EXCLUDED_COLLECTIONS.includes(doc.id)) return;
+
+    const defaults = config[doc.id] || {};
+    const { enabled, fields, ignoreFields } = { ...defaults, ...doc.data() };
+    const entry = { enabled, fields, ignoreFields: ignoreFields || [] };
+    const errors = validateMonitoringConfig(entry);
+
+    if (errors.length > 0) {
+      logger.warn(`Ignoring invalid audit monitoring config for ${doc.id}:`, errors);
+      return;
+    }
+
+    config[doc.id] = { ...entry, source: 'firestore' };
+  });
+
+  cachedConfig = config;
+  cachedAt = Date.now();
+  return config;
+}
+
+/**
+ * Forget the cached config so the next write re-reads Firestore
+ */
+function clearMonitoringConfigCache() {
+  cachedConfig = null;
+  cachedAt = 0;
+}
+
+/**
+ * Plain, size-limited representation of a value for the audit trail
+ * (redact = false keeps the full value, for comparisons only)
+ */
+function toAuditValue(value, field, redact = true) {
+  if (value === undefined) return null;
+  if (redact && value !== null && getSensitiveFieldMask(field)) return getSensitiveFieldMask(field);
+  if (value === null || typeof value === 'boolean' || typeof value === 'number') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (typeof value === 'string') {
+    if (!redact) return value;
+    const redacted = redactString(value);
+    return redacted.length > MAX_VALUE_LENGTH ? `${redacted.slice(0, MAX_VALUE_LENGTH)}...` : redacted;
+  }
+  if (Array.isArray(value)) return value.map(item => toAuditValue(item, field, redact));
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) result[key] = toAuditValue(nested, key, redact);
+    return result;
+  }
+  return String(value);
+}
+
+/**
+ * Field-level diff of a write for a collection's monitoring config
+ *
+ * Returns [{ field, before, after }] for top-level fields that changed;
+ * nested values are compared as a whole.
+ */
+function computeFieldDiff(before, after, config) {
+  const beforeData = before || {};
+  const afterData = after || {};
+  const ignored = config.ignoreFields || [];
+  const allFields = config.fields.includes('*');
+
+  const fields = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+  const changes = [];
+
+  for (const field of [...fields].sort()) {
+    if (ignored.includes(field) || (!allFields && !config.fields.includes(field))) continue;
+
+    // Compare unredacted values, record redacted ones
+    const beforeValue = toAuditValue(beforeData[field], field, false);
+    const afterValue = toAuditValue(afterData[field], field, false);
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) continue;
+
+    changes.push({
+      field,
+      before: toAuditValue(beforeData[field], field),
+      after: toAuditValue(afterData[field], field)
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Audit metadata describing a write to a monitored collection, or null
+ * when the collection is not monitored or no monitored field changed
+ */
+async function describeMonitoredWrite(collection, eventType, change) {
+  const config = (await loadMonitoringConfig())[collection];
+  if (!config || !config.enabled) return null;
+
+  const before = change?.before?.exists ? change.before.data() : null;
+  const after = change?.after?.exists ? change.after.data() : null;
+  const changes = computeFieldDiff(before, after, config);
+
+  if (eventType === 'update' && changes.length === 0) return null;
+
+  return {
+    changedFields: changes.map(entry => entry.field),
+    changes: changes.slice(0, MAX_CHANGES),
+    truncated: changes.length > MAX_CHANGES
+  };
+}
+
+module.exports = {
+  DEFAULT_MONITORING_CONFIG,
+  EXCLUDED_COLLECTIONS,
+  clearMonitoringConfigCache,
+  computeFieldDiff,
+  describeMonitoredWrite,
+  loadMonitoringConfig,
+  validateMonitoringConfig
+};
@@ -0,0 +1,254 @@
+/**
+ * SECURYFLEX TAMPER-EVIDENT AUDIT LOG
+ * Hash-chained security_audit entries for WPBR and AVG audits
+ *
+ * Every entry is appended to a per-day chain (Amsterdam date, sharded to
+ * spread write load): audit_chains/{chainId} holds the chain head and each
+ * entry carries the hash of its contents and of the previous entry. Edits,
+ * deletions and insertions break the chain and are found by
+ * verifyAuditChains(); daily anchors in audit_chain_anchors pin the heads.
+ * Chains of archived days are marked archived and no longer verified here.
+ */
+
+const crypto = require('crypto');
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getDateKey } = require('./dutch-calendar');
+const { redactValue } = require('./pii-redaction');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const AUDIT_CHAIN_SHARDS = 4;
+const GENESIS_HASH = '0'.repeat(64);
+const CHAIN_FIELDS = ['chainId', 'chainDate', 'sequence', 'previousHash', 'contentHash', 'hash'];
+
+/**
+ * Deterministic JSON representation for hashing
+ *
+ * Keys are sorted and Dates/Firestore Timestamps become ISO strings, so
+ * an entry hashes the same before it is written and after it is read.
+ */
+function canonicalize(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value.toDate === 'function') return JSON.stringify(value.toDate().toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 hex digest
+ */
+function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+/**
+ * Hash of an entry's contents (all fields except the chain fields)
+ */
+function hashEntryContent(entry) {
+  const content = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!CHAIN_FIELDS.includes(key)) content[key] = value;
+  }
+  return sha256(canonicalize(content));
+}
+
+/**
+ * Hash linking an entry to its predecessor
+ */
+function hashChainLink(chainId, sequence, previousHash, contentHash) {
+  return sha256(`${chainId}:${sequence}:${previousHash}:${contentHash}`);
+}
+
+/**
+ * Chain ids of an Amsterdam date
+ */
+function getChainIds(dateKey) {
+  return Array.from({ length: AUDIT_CHAIN_SHARDS }, (_, shard) => `${dateKey}_${shard}`);
+}
+
+/**
+ * Create immutable security audit log
+ */
+async function createSecurityAuditLog(auditData) {
+  const timestamp = new Date();
+  const chainDate = getDateKey(timestamp);
+  const chainId = getChainIds(chainDate)[Math.floor(Math.random() * AUDIT_CHAIN_SHARDS)];
+  const chainRef = db.collection('audit_chains').doc(chainId);
+  const entryRef = db.collection('security_audit').doc();
+
+  // Personal data never enters the (immutable) audit trail
+  const entry = {
+    ...redactValue(auditData),
+    timestamp,
+    immutable: true,
+    version: '3.0'
+  };
+  const contentHash = hashEntryContent(entry);
+
+  await db.runTransaction(async (transaction) => {
+    const chainDoc = await transaction.get(chainRef);
+    const head = chainDoc.exists ? chainDoc.data() : { headHash: GENESIS_HASH, sequence: 0 };
+
+    const sequence = head.sequence + 1;
+    const hash = hashChainLink(chainId, sequence, head.headHash, contentHash);
+
+    transaction.create(entryRef, {
+      ...entry,
+      chainId,
+      chainDate,
+      sequence,
+      previousHash: head.headHash,
+      contentHash,
+      hash
+    });
+
+    transaction.set(chainRef, {
+      chainId,
+      chainDate,
+      headHash: hash,
+      sequence,
+      lastEntryId: entryRef.id,
+      updatedAt: timestamp
+    });
+  });
+
+  return entryRef.id;
+}
+
+/**
+ * Verify one chain, returning the first broken link or null
+ */
+async function verifyChain(chainId) {
+  const chainDoc = await db.collection('audit_chains').doc(chainId).get();
+  if (!chainDoc.exists) return { chainId, entries: 0, brokenLink: null };
+
+  const head = chainDoc.data();
+
+  // Entries of archived days live in Cloud Storage (see audit-archive.js)
+  if (head.archived) return { chainId, entries: 0, archived: true, brokenLink: null };
+
+  let previousHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection('security_audit')
+      .where('chainId', '==', chainId)
+      .orderBy('sequence')
+      .limit(500);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const page = await query.get();
+    if (page.empty) break;
+
+    for (const doc of page.docs) {
+      const entry = doc.data();
+      const broken = (reason) => ({
+        chainId,
+        entries: expectedSequence - 1,
+        brokenLink: { sequence: expectedSequence, entryId: doc.id, reason }
+      });
+
+      if (entry.sequence !== expectedSequence) {
+        return broken(`missing entry (found sequence ${entry.sequence})`);
+      }
+      if (entry.previousHash !== previousHash) {
+        return broken('previous hash mismatch');
+      }
+      if (hashEntryContent(entry) !== entry.contentHash) {
+        return broken('content modified');
+      }
+      if (hashChainLink(chainId, entry.sequence, previousHash, entry.contentHash) !== entry.hash) {
+        return broken('entry hash mismatch');
+      }
+
+      previousHash = entry.hash;
+      expectedSequence++;
+    }
+
+    lastDoc = page.docs[page.docs.length - 1];
+  }
+
+  // Entries removed from the end of the chain
+  if (head.sequence !== expectedSequence - 1 || head.headHash !== previousHash) {
+    return {
+      chainId,
+      entries: expectedSequence - 1,
+      brokenLink: { sequence: expectedSequence, entryId: null, reason: 'chain head mismatch' }
+    };
+  }
+
+  // Chain head rewritten after anchoring
+  const anchorDoc = await db.collection('audit_chain_anchors').doc(head.chainDate).get();
+  const anchoredHead = anchorDoc.exists ? anchorDoc.data().heads?.[chainId] : null;
+  if (anchoredHead && (anchoredHead.sequence !== head.sequence || anchoredHead.headHash !== head.headHash)) {
+    return {
+      chainId,
+      entries: expectedSequence - 1,
+      brokenLink: { sequence: anchoredHead.sequence, entryId: null, reason: 'anchor mismatch' }
+    };
+  }
+
+  return { chainId, entries: expectedSequence - 1, brokenLink: null };
+}
+
+/**
+ * Verify the chains of a range of Amsterdam dates (YYYY-MM-DD, inclusive)
+ */
+async function verifyAuditChains(dateKeys) {
+  const chains = [];
+
+  for (const dateKey of dateKeys) {
+    for (const chainId of getChainIds(dateKey)) {
+      const result = await verifyChain(chainId);
+      chains.push(result);
+
+      if (result.brokenLink) {
+        return { valid: false, firstBrokenLink: { chainId, ...result.brokenLink }, chains };
+      }
+    }
+  }
+
+  return { valid: true, firstBrokenLink: null, chains };
+}
+
+/**
+ * Anchor the chain heads of an Amsterdam date in audit_chain_anchors
+ */
+async function anchorAuditChains(dateKey) {
+  const chainDocs = await db.getAll(...getChainIds(dateKey).map(id => db.collection('audit_chains').doc(id)));
+
+  const heads = {};
+  chainDocs.filter(doc => doc.exists).forEach(doc => {
+    const { headHash, sequence } = doc.data();
+    heads[doc.id] = { headHash, sequence };
+  });
+
+  const anchor = {
+    date: dateKey,
+    heads,
+    anchorHash: sha256(canonicalize(heads)),
+    anchoredAt: new Date()
+  };
+
+  // Anchors are written once; an existing anchor is never overwritten
+  await db.collection('audit_chain_anchors').doc(dateKey).create(anchor);
+  return anchor;
+}
+
+module.exports = {
+  anchorAuditChains,
+  canonicalize,
+  createSecurityAuditLog,
+  verifyAuditChains
+};
@@ -0,0 +1,150 @@
+/**
+ * SECURYFLEX AUDIT LOG SEARCH
+ * Filtered, cursor-paginated reads of security_audit for admins and auditors
+ *
+ * Filters are equality matches on userId, action, resourceType, resourceId
+ * and riskLevel plus an Amsterdam date range. Results are ordered newest
+ * first; cursors are opaque strings pointing after the last returned entry.
+ * Results can be returned as entries or as CSV.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldPath, Timestamp } = require('firebase-admin/firestore');
+const { amsterdamTimeToDate, startOfAmsterdamDay } = require('./dutch-calendar');
+const { redactValue } = require('./pii-redaction');
+const { formatCsv, toPlainValue } = require('./export-format');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const FILTER_FIELDS = ['userId', 'action', 'resourceType', 'resourceId', 'riskLevel'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'userId', 'action', 'resourceType', 'resourceId',
+  'riskLevel', 'success', 'metadata', 'chainId', 'sequence', 'hash'
+];
+
+/**
+ * Validate search filters, returning a list of errors
+ */
+function validateAuditFilters(filters) {
+  const errors = [];
+
+  for (const field of FILTER_FIELDS) {
+    if (filters[field] !== undefined && (typeof filters[field] !== 'string' || !filters[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (filters[field] !== undefined && !DATE_PATTERN.test(filters[field])) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    errors.push('startDate must not be after endDate');
+  }
+
+  return errors;
+}
+
+/**
+ * Start of an Amsterdam date given as YYYY-MM-DD
+ */
+function dateKeyToDate(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return amsterdamTimeToDate(year, month, day);
+}
+
+/**
+ * Encode the position after an entry as an opaque cursor
+ */
+function encodeCursor(doc) {
+  const position = { t: doc.data().timestamp.toMillis(), id: doc.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, or null when it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || typeof id !== 'string' || !id) return null;
+    return { timestamp: Timestamp.fromMillis(t), id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the Firestore query for a set of filters
+ */
+function buildAuditQuery(filters) {
+  let query = db.collection('security_audit');
+
+  for (const field of FILTER_FIELDS) {
+    if (filters[field] !== undefined) query = query.where(field, '==', filters[field]);
+  }
+
+  if (filters.startDate) {
+    query = query.where('timestamp', '>=', dateKeyToDate(filters.startDate));
+  }
+  if (filters.endDate) {
+    // endDate is inclusive
+    query = query.where('timestamp', '<', startOfAmsterdamDay(dateKeyToDate(filters.endDate), 1));
+  }
+
+  return query
+    .orderBy('timestamp', 'desc')
+    .orderBy(FieldPath.documentId(), 'desc');
+}
+
+/**
+ * Search audit entries, returning one page and the cursor of the next
+ */
+async function searchAuditEntries(filters, { cursor = null, limit }) {
+  let query = buildAuditQuery(filters);
+
+  if (cursor) {
+    query = query.startAfter(cursor.timestamp, cursor.id);
+  }
+
+  // Read one extra entry to know whether there is a next page
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    entries: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    nextCursor: snapshot.size > limit ? encodeCursor(docs[docs.length - 1]) : null
+  };
+}
+
+/**
+ * Convert an entry to plain JSON (timestamps as ISO strings) with
+ * personal data masked, also in entries written before redaction
+ */
+function toExportEntry(entry) {
+  return toPlainValue(redactValue(entry));
+}
+
+/**
+ * Render plain audit entries as CSV
+ */
+function formatAuditCsv(entries) {
+  return formatCsv(entries, CSV_COLUMNS);
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  decodeCursor,
+  formatAuditCsv,
+  searchAuditEntries,
+  toExportEntry,
+  validateAuditFilters
+};
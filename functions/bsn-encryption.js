@@ -0,0 +1,309 @@
+/**
+ * SECURYFLEX BSN-VERSLEUTELING
+ * Server-side validation, envelope encryption and key rotation for BSNs
+ *
+ * Ciphertexts have the form
+ *   ENC:v{keyVersion}:{wrappedDataKey}:{iv}:{ciphertext+tag}   (base64url)
+ * Every BSN gets its own AES-256-GCM data key, wrapped by the key provider
+ * (bsn-keys.js) under the key version in the prefix. Older client-side
+ * ciphertexts ('ENC:' without a version) cannot be decrypted here.
+ *
+ * Decryption is only done for an admin with a recorded purpose and
+ * justification, or for the data subject's own GDPR export after step-up
+ * verification (gdpr-step-up.js). Every decrypt, including those for key
+ * rotation and refused attempts, is logged to bsn_verifications.
+ */
+
+const crypto = require('crypto');
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { isValidBsn } = require('./pii-redaction');
+const { getBsnKeyProvider } = require('./bsn-keys');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const ALGORITHM = 'aes-256-gcm';
+const DATA_KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const CIPHERTEXT_PATTERN = /^ENC:v([1-9]\d*):([\w-]+):([\w-]+):([\w-]+)$/;
+
+// Lawful grounds for reading a BSN (Wabb/UAVG artikel 46)
+const BSN_DECRYPT_PURPOSES = ['identity_verification', 'payroll_tax', 'legal_obligation'];
+const MIN_JUSTIFICATION_LENGTH = 20;
+
+const ROTATION_PAGE_SIZE = 200;
+
+/**
+ * Digits of a BSN that passes the 11-proef; throws invalid-argument otherwise
+ */
+function normaliseBsn(value) {
+  const digits = String(value || '').replace(/[ .]/g, '');
+  if (!isValidBsn(digits)) {
+    throw Object.assign(new Error('BSN is not valid (11-proef)'), { code: 'invalid-argument' });
+  }
+  return digits;
+}
+
+/**
+ * Key version of a server-side ciphertext, or null for other values
+ */
+function getBsnKeyVersion(value) {
+  const match = CIPHERTEXT_PATTERN.exec(value || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Encrypt a BSN under the provider's current (or the given) key version
+ */
+async function encryptBsn(bsn, keyVersion = null) {
+  const digits = normaliseBsn(bsn);
+  const provider = getBsnKeyProvider();
+  const version = keyVersion || await provider.getCurrentVersion();
+
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+  cipher.setAAD(Buffer.from(`bsn:v${version}`));
+  const encrypted = Buffer.concat([cipher.update(digits, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  const wrappedKey = await provider.wrapKey(version, dataKey);
+
+  return {
+    ciphertext: ['ENC', `v${version}`, wrappedKey, iv, encrypted]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+      .join(':'),
+    keyVersion: version
+  };
+}
+
+/**
+ * Decrypt a server-side ciphertext (callers log the decrypt)
+ */
+async function decryptBsn(ciphertext) {
+  const match = CIPHERTEXT_PATTERN.exec(ciphertext || '');
+  if (!match) {
+    throw Object.assign(new Error('BSN is not encrypted with a server key version'), { code: 'failed-precondition' });
+  }
+
+  const version = Number(match[1]);
+  const [wrappedKey, iv, encrypted] = match.slice(2).map(part => Buffer.from(part, 'base64url'));
+  const dataKey = await getBsnKeyProvider().unwrapKey(version, wrappedKey);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, iv);
+  decipher.setAAD(Buffer.from(`bsn:v${version}`));
+  decipher.setAuthTag(encrypted.subarray(encrypted.length - TAG_BYTES));
+  return Buffer.concat([
+    decipher.update(encrypted.subarray(0, encrypted.length - TAG_BYTES)),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Write a bsn_verifications entry
+ */
+async function logBsnAccess(entry) {
+  await db.collection('bsn_verifications').add({
+    timestamp: new Date(),
+    ...entry
+  });
+}
+
+/**
+ * Decrypt the holder BSN of a certificate for an authorised admin
+ *
+ * The caller checks the admin role; this checks purpose and justification,
+ * decrypts and logs the access (refused attempts too). Throws an Error
+ * with a code (invalid-argument, not-found, failed-precondition) that
+ * callers map to their own error type.
+ */
+async function revealCertificateBsn(certificateId, requestedBy, { purpose, justification }) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  const certificateDoc = await db.collection('certificates').doc(certificateId).get();
+  const certificate = certificateDoc.exists ? certificateDoc.data() : null;
+  const log = (success, extra) => logBsnAccess({
+    userId: certificate ? certificate.userId : null,
+    certificateId,
+    action: 'decrypt',
+    requestedBy,
+    purpose: purpose || null,
+    justification: justification || null,
+    keyVersion: certificate ? getBsnKeyVersion(certificate.holderBsn) : null,
+    success,
+    ...extra
+  });
+
+  let error = null;
+  if (!BSN_DECRYPT_PURPOSES.includes(purpose)) {
+    error = fail('invalid-argument', `purpose must be one of ${BSN_DECRYPT_PURPOSES.join(', ')}`);
+  } else if (typeof justification !== 'string' || justification.trim().length < MIN_JUSTIFICATION_LENGTH) {
+    error = fail('invalid-argument', `Justification of at least ${MIN_JUSTIFICATION_LENGTH} characters required`);
+  } else if (!certificate) {
+    error = fail('not-found', 'Certificate not found');
+  } else if (!certificate.holderBsn) {
+    error = fail('failed-precondition', 'Certificate has no BSN');
+  }
+
+  if (error) {
+    await log(false, { error: error.message });
+    throw error;
+  }
+
+  try {
+    const bsn = await decryptBsn(certificate.holderBsn);
+    await log(true, {});
+    return bsn;
+  } catch (decryptError) {
+    await log(false, { error: decryptError.message });
+    throw decryptError.code ? decryptError : fail('failed-precondition', 'BSN could not be decrypted');
+  }
+}
+
+/**
+ * Decrypt the BSNs on a data subject's certificates for their GDPR export
+ *
+ * Only for requests whose step-up verification passed; each decrypt is
+ * logged. Returns one record per certificate with a BSN.
+ */
+async function revealBsnsForExport(userId, requestId) {
+  const certificates = await db.collection('certificates').where('userId', '==', userId).get();
+  const records = [];
+
+  for (const doc of certificates.docs) {
+    const { holderBsn, certificateNumber } = doc.data();
+    if (!holderBsn) continue;
+
+    let bsn = null;
+    let error = null;
+    try {
+      bsn = await decryptBsn(holderBsn);
+    } catch (decryptError) {
+      error = decryptError.message;
+    }
+
+    await logBsnAccess({
+      userId,
+      certificateId: doc.id,
+      action: 'decrypt',
+      requestedBy: userId,
+      purpose: 'gdpr_export',
+      requestId,
+      keyVersion: getBsnKeyVersion(holderBsn),
+      success: bsn !== null,
+      ...(error ? { error } : {})
+    });
+
+    records.push({
+      certificateId: doc.id,
+      certificateNumber,
+      bsn,
+      note: bsn === null ? 'BSN kon niet worden ontsleuteld; neem contact op met SecuryFlex' : null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Re-encrypt one certificate BSN under the target key version
+ */
+async function rotateCertificate(ref, targetVersion) {
+  const rotated = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const holderBsn = doc.exists ? doc.data().holderBsn : null;
+    const fromVersion = getBsnKeyVersion(holderBsn);
+    if (fromVersion === null || fromVersion >= targetVersion) return null;
+
+    const { ciphertext } = await encryptBsn(await decryptBsn(holderBsn), targetVersion);
+    transaction.update(ref, { holderBsn: ciphertext, holderBsnKeyVersion: targetVersion });
+    return { userId: doc.data().userId, fromVersion };
+  });
+
+  if (rotated) {
+    await logBsnAccess({
+      userId: rotated.userId,
+      certificateId: ref.id,
+      action: 'key_rotation',
+      requestedBy: 'system',
+      fromVersion: rotated.fromVersion,
+      keyVersion: targetVersion,
+      success: true
+    });
+  }
+  return Boolean(rotated);
+}
+
+/**
+ * Re-encrypt certificate BSNs written under older key versions
+ *
+ * Walks all certificates in document order, resuming from the cursor in
+ * bsn_key_rotation/certificates; a new current key version starts a new
+ * pass. Stops starting new pages after timeBudgetMs.
+ */
+async function rotateCertificateBsns({ timeBudgetMs }) {
+  const startedAt = Date.now();
+  const stateRef = db.collection('bsn_key_rotation').doc('certificates');
+  const targetVersion = await getBsnKeyProvider().getCurrentVersion();
+  const stateDoc = await stateRef.get();
+  const state = stateDoc.exists && stateDoc.data().targetVersion === targetVersion
+    ? stateDoc.data()
+    : { targetVersion, cursor: null, rotated: 0, failed: 0, completedAt: null, startedAt: new Date() };
+
+  const run = { targetVersion, scanned: 0, rotated: 0, failed: 0, completed: Boolean(state.completedAt) };
+
+  while (!run.completed && Date.now() - startedAt < timeBudgetMs) {
+    let query = db.collection('certificates').orderBy('__name__').select('holderBsn').limit(ROTATION_PAGE_SIZE);
+    if (state.cursor) query = query.startAfter(state.cursor);
+    const page = await query.get();
+
+    for (const doc of page.docs) {
+      const version = getBsnKeyVersion(doc.data().holderBsn);
+      if (version === null || version >= targetVersion) continue;
+
+      try {
+        if (await rotateCertificate(doc.ref, targetVersion)) run.rotated++;
+      } catch (error) {
+        // Missing old key versions or corrupt ciphertexts need an admin; keep going
+        run.failed++;
+        await logBsnAccess({
+          certificateId: doc.id,
+          action: 'key_rotation',
+          requestedBy: 'system',
+          fromVersion: version,
+          keyVersion: targetVersion,
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    run.scanned += page.size;
+    state.cursor = page.empty ? state.cursor : page.docs[page.size - 1].id;
+    if (page.size < ROTATION_PAGE_SIZE) {
+      run.completed = true;
+      state.completedAt = new Date();
+    }
+  }
+
+  await stateRef.set({
+    ...state,
+    rotated: state.rotated + run.rotated,
+    failed: state.failed + run.failed,
+    updatedAt: new Date()
+  });
+
+  return run;
+}
+
+module.exports = {
+  BSN_DECRYPT_PURPOSES,
+  encryptBsn,
+  getBsnKeyVersion,
+  normaliseBsn,
+  revealBsnsForExport,
+  revealCertificateBsn,
+  rotateCertificateBsns
+};
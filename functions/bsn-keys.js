@@ -0,0 +1,129 @@
+/**
+ * SECURYFLEX BSN KEY PROVIDERS
+ * Pluggable key-encryption keys for BSN envelope encryption
+ *
+ * A provider is { id, getCurrentVersion(), wrapKey(version, dataKey),
+ * unwrapKey(version, wrappedKey) }. Data keys are generated per BSN by
+ * bsn-encryption.js; providers only wrap and unwrap them, so a KMS-backed
+ * provider can be registered without changing the ciphertext format.
+ *
+ * Built-in providers both use a keyring
+ *   { "currentVersion": 2, "keys": { "1": "<base64>", "2": "<base64>" } }
+ * of 32-byte keys:
+ * - the BSN_KEYRING secret (production)
+ * - a local JSON file named by BSN_KEY_FILE (tests and the emulator)
+ * Old versions stay in the keyring until rotation has re-encrypted
+ * everything written with them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const KEY_BYTES = 32;
+const WRAP_ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let activeProvider = null;
+
+/**
+ * Parse and check a keyring JSON document
+ */
+function parseKeyring(json) {
+  const keyring = typeof json === 'string' ? JSON.parse(json) : json;
+  const keys = new Map();
+
+  Object.entries((keyring && keyring.keys) || {}).forEach(([version, encoded]) => {
+    const key = Buffer.from(encoded, 'base64');
+    if (!/^[1-9]\d*$/.test(version) || key.length !== KEY_BYTES) {
+      throw new Error(`BSN key version ${version} must be a ${KEY_BYTES}-byte base64 key`);
+    }
+    keys.set(Number(version), key);
+  });
+
+  if (!keys.has(keyring.currentVersion)) {
+    throw new Error('BSN keyring has no key for its currentVersion');
+  }
+  return { currentVersion: keyring.currentVersion, keys };
+}
+
+/**
+ * Provider wrapping data keys with AES-256-GCM under keyring keys
+ *
+ * loadKeyring is called on first use, so secrets are only read inside
+ * functions that declare them.
+ */
+function createKeyringProvider(id, loadKeyring) {
+  let keyring = null;
+  const getKeyring = () => {
+    if (!keyring) keyring = parseKeyring(loadKeyring());
+    return keyring;
+  };
+  const getKey = (version) => {
+    const key = getKeyring().keys.get(version);
+    if (!key) throw new Error(`BSN key version ${version} is not available`);
+    return key;
+  };
+
+  return {
+    id,
+
+    async getCurrentVersion() {
+      return getKeyring().currentVersion;
+    },
+
+    async wrapKey(version, dataKey) {
+      const iv = crypto.randomBytes(IV_BYTES);
+      const cipher = crypto.createCipheriv(WRAP_ALGORITHM, getKey(version), iv);
+      const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+      return Buffer.concat([iv, wrapped, cipher.getAuthTag()]);
+    },
+
+    async unwrapKey(version, wrappedKey) {
+      const iv = wrappedKey.subarray(0, IV_BYTES);
+      const tag = wrappedKey.subarray(wrappedKey.length - TAG_BYTES);
+      const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, getKey(version), iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(wrappedKey.subarray(IV_BYTES, wrappedKey.length - TAG_BYTES)), decipher.final()]);
+    }
+  };
+}
+
+/**
+ * Keyring stored in a local JSON file (stand-in for tests and the emulator)
+ */
+function createFileKeyProvider(path) {
+  return createKeyringProvider('file', () => fs.readFileSync(path, 'utf8'));
+}
+
+/**
+ * Replace the key provider (e.g. with a KMS-backed one)
+ */
+function setBsnKeyProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' ||
+      ['getCurrentVersion', 'wrapKey', 'unwrapKey'].some(method => typeof provider[method] !== 'function')) {
+    throw new Error('BSN key provider needs an id, getCurrentVersion, wrapKey and unwrapKey');
+  }
+  activeProvider = provider;
+}
+
+/**
+ * The registered provider, or the file/secret keyring from the environment
+ */
+function getBsnKeyProvider() {
+  if (!activeProvider) {
+    activeProvider = process.env.BSN_KEY_FILE
+      ? createFileKeyProvider(process.env.BSN_KEY_FILE)
+      : createKeyringProvider('secret', () => {
+        if (!process.env.BSN_KEYRING) throw new Error('BSN_KEYRING secret is not available to this function');
+        return process.env.BSN_KEYRING;
+      });
+  }
+  return activeProvider;
+}
+
+module.exports = {
+  createFileKeyProvider,
+  getBsnKeyProvider,
+  setBsnKeyProvider
+};
@@ -0,0 +1,378 @@
+/**
+ * SECURYFLEX BTW-NALEVING
+ * Invoice checks under the Wet op de omzetbelasting 1968 (art. 35a)
+ *
+ * Checks invoices issued since 1 January of the previous year:
+ * - BTW-identificatienummer of the supplier (btwNumber): NL + 9 digits +
+ *   B + 2 digits, passing the 11-proef or (sole traders since 2020) the
+ *   mod-97 check
+ * - BTW rates per line (btwRate 0.21, 0.09 or 0); with btwReverseCharge
+ *   (BTW verlegd) no BTW may be charged and the customer's BTW number
+ *   (customerBtwNumber) is required
+ * - Gap-free, unique numbering per company and number series (the part
+ *   before the trailing digits; app numbers {year}{counter} use the year)
+ * - Fields art. 35a requires, plus the KvK number
+ * - Line totals, subtotal, BTW amount and total adding up
+ *
+ * The app writes invoices in snake_case (invoice_number, invoice_date or
+ * issue_date, company_btw, company_kvk, company_name/_address,
+ * client_name/_address, line_items with unit_price, btw_rate and
+ * total_excl_btw, total or total_amount) and, in older payment code, in
+ * camelCase; both are normalised to the camelCase names used in the
+ * reported issues.
+ *
+ * Violations are reported per invoice, each issue with a severity.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { amsterdamTimeToDate, getAmsterdamTime } = require('./dutch-calendar');
+const { isValidBsn } = require('./pii-redaction');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const BTW_NUMBER_PATTERN = /^NL(\d{9})B(\d{2})$/;
+const ALLOWED_BTW_RATES = [0.21, 0.09, 0];
+
+// Fields every invoice must carry (art. 35a Wet OB; KvK: Handelsregisterbesluit art. 50)
+const REQUIRED_FIELDS = [
+  'invoiceNumber',
+  'issueDate',
+  'btwNumber',
+  'kvkNumber',
+  'supplierName',
+  'supplierAddress',
+  'customerName',
+  'customerAddress'
+];
+const REQUIRED_LINE_FIELDS = ['description', 'quantity', 'unitPrice', 'lineTotal', 'btwRate'];
+
+const ISSUE_SEVERITY = {
+  number_duplicate: 'critical',
+  btw_number_invalid: 'high',
+  required_field_missing: 'high',
+  btw_rate_invalid: 'high',
+  reverse_charge_btw_charged: 'high',
+  reverse_charge_customer_btw_invalid: 'high',
+  btw_amount_mismatch: 'high',
+  total_mismatch: 'high',
+  number_gap: 'medium',
+  number_unparseable: 'medium',
+  line_total_mismatch: 'medium',
+  subtotal_mismatch: 'medium'
+};
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+const SEVERITY_POINTS = { low: 1, medium: 5, high: 15, critical: 25 };
+
+// Invoices stored on the monitoring document (the counts cover all)
+const MAX_REPORTED_INVOICES = 500;
+
+const INVOICE_PAGE_SIZE = 500;
+
+// Issue date fields the invoice writers use
+const ISSUE_DATE_FIELDS = ['invoice_date', 'issue_date', 'issueDate'];
+
+/**
+ * Check a Dutch BTW-identificatienummer (format and checksum)
+ */
+function isValidBtwNumber(value) {
+  const btwNumber = String(value || '').replace(/[\s.]/g, '').toUpperCase();
+  const match = BTW_NUMBER_PATTERN.exec(btwNumber);
+  if (!match) return false;
+
+  // Same 11-proef as the BSN (older numbers of legal entities)
+  if (isValidBsn(match[1])) return true;
+
+  // Sole traders since 2020: ISO 7064 mod 97 over the whole number
+  const numeric = btwNumber.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Convert a Date or Firestore timestamp to a Date (null otherwise)
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return null;
+}
+
+/**
+ * Euro amount in whole cents (null when not a number)
+ */
+function toCents(amount) {
+  return typeof amount === 'number' && Number.isFinite(amount) ? Math.round(amount * 100) : null;
+}
+
+/**
+ * Whether a required value is missing or empty
+ */
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * First of the given fields that is set on a record
+ */
+function pick(record, ...fields) {
+  const field = fields.find(name => record[name] !== undefined && record[name] !== null);
+  return field ? record[field] : undefined;
+}
+
+/**
+ * Invoice in the camelCase shape checked here, from either stored shape
+ */
+function normaliseInvoice(id, data) {
+  const lineItems = pick(data, 'lineItems', 'line_items');
+
+  return {
+    id,
+    invoiceNumber: pick(data, 'invoiceNumber', 'invoice_number'),
+    issueDate: pick(data, ...ISSUE_DATE_FIELDS),
+    companyId: pick(data, 'companyId', 'company_id'),
+    btwNumber: pick(data, 'btwNumber', 'company_btw'),
+    kvkNumber: pick(data, 'kvkNumber', 'company_kvk'),
+    supplierName: pick(data, 'supplierName', 'company_name'),
+    supplierAddress: pick(data, 'supplierAddress', 'company_address'),
+    customerName: pick(data, 'customerName', 'client_name'),
+    customerAddress: pick(data, 'customerAddress', 'client_address'),
+    customerBtwNumber: pick(data, 'customerBtwNumber', 'client_btw'),
+    btwReverseCharge: pick(data, 'btwReverseCharge', 'btw_reverse_charge'),
+    lineItems: Array.isArray(lineItems)
+      ? lineItems.map(line => ({
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: pick(line, 'unitPrice', 'unit_price'),
+        lineTotal: pick(line, 'lineTotal', 'total_excl_btw', 'line_total'),
+        btwRate: pick(line, 'btwRate', 'btw_rate')
+      }))
+      : undefined,
+    subtotal: pick(data, 'subtotal', 'net_amount'),
+    btwAmount: pick(data, 'btwAmount', 'btw_amount'),
+    totalAmount: pick(data, 'totalAmount', 'total_amount', 'total')
+  };
+}
+
+/**
+ * Number series and sequence of an invoice number, or null
+ */
+function parseInvoiceNumber(invoiceNumber, issueDate) {
+  const match = /^(.*?)(\d+)$/.exec(String(invoiceNumber || '').trim());
+  if (!match) return null;
+
+  let [, series, digits] = match;
+  // Numbers generated by the app are {year}{counter}, e.g. 20250001
+  const year = issueDate ? String(getAmsterdamTime(issueDate).year) : null;
+  if (!series && year && digits.length > year.length && digits.startsWith(year)) {
+    series = year;
+    digits = digits.slice(year.length);
+  }
+  return { series, sequence: Number(digits) };
+}
+
+/**
+ * Issues with an invoice's fields, rates and amounts
+ */
+function checkInvoice(invoice) {
+  const issues = [];
+  const add = (item, detail = {}) => issues.push({ item, severity: ISSUE_SEVERITY[item], ...detail });
+  const lineItems = Array.isArray(invoice.lineItems) ? invoice.lineItems : [];
+
+  REQUIRED_FIELDS.filter(field => isBlank(invoice[field]))
+    .forEach(field => add('required_field_missing', { field }));
+  if (lineItems.length === 0) add('required_field_missing', { field: 'lineItems' });
+  lineItems.forEach((line, index) => {
+    REQUIRED_LINE_FIELDS.filter(field => isBlank(line[field]))
+      .forEach(field => add('required_field_missing', { field: `lineItems[${index}].${field}` }));
+  });
+
+  if (!isBlank(invoice.btwNumber) && !isValidBtwNumber(invoice.btwNumber)) {
+    add('btw_number_invalid', { field: 'btwNumber' });
+  }
+
+  lineItems.forEach((line, index) => {
+    if (!isBlank(line.btwRate) && !ALLOWED_BTW_RATES.includes(line.btwRate)) {
+      add('btw_rate_invalid', { line: index, btwRate: line.btwRate });
+    }
+  });
+
+  if (invoice.btwReverseCharge === true) {
+    if (lineItems.some(line => line.btwRate > 0) || toCents(invoice.btwAmount) > 0) {
+      add('reverse_charge_btw_charged', { btwAmount: invoice.btwAmount });
+    }
+    if (!isValidBtwNumber(invoice.customerBtwNumber)) {
+      add('reverse_charge_customer_btw_invalid', { field: 'customerBtwNumber' });
+    }
+  }
+
+  // Rounding per line or per rate is allowed: one cent per line
+  const tolerance = Math.max(lineItems.length, 1);
+  const lineCents = lineItems.map(line => toCents(line.lineTotal));
+
+  lineItems.forEach((line, index) => {
+    const expected = toCents(line.quantity * line.unitPrice);
+    if (expected !== null && lineCents[index] !== null && Math.abs(expected - lineCents[index]) > 1) {
+      add('line_total_mismatch', { line: index, expected: expected / 100, actual: line.lineTotal });
+    }
+  });
+
+  const subtotal = toCents(invoice.subtotal);
+  const btwAmount = toCents(invoice.btwAmount);
+  const totalAmount = toCents(invoice.totalAmount);
+
+  if (lineItems.length > 0 && lineCents.every(cents => cents !== null)) {
+    const expectedSubtotal = lineCents.reduce((sum, cents) => sum + cents, 0);
+    if (subtotal !== expectedSubtotal) {
+      add('subtotal_mismatch', { expected: expectedSubtotal / 100, actual: invoice.subtotal ?? null });
+    }
+
+    const expectedBtw = lineItems.reduce((sum, line, index) => sum + lineCents[index] * (line.btwRate || 0), 0);
+    if (btwAmount === null || Math.abs(Math.round(expectedBtw) - btwAmount) > tolerance) {
+      add('btw_amount_mismatch', { expected: Math.round(expectedBtw) / 100, actual: invoice.btwAmount ?? null });
+    }
+  }
+
+  if (subtotal !== null && btwAmount !== null && (totalAmount === null || subtotal + btwAmount !== totalAmount)) {
+    add('total_mismatch', { expected: (subtotal + btwAmount) / 100, actual: invoice.totalAmount ?? null });
+  }
+
+  return issues;
+}
+
+/**
+ * Numbering issues per invoice id: duplicates and gaps per company and series
+ */
+function checkNumbering(invoices) {
+  const issues = new Map();
+  const add = (invoiceId, item, detail) => {
+    if (!issues.has(invoiceId)) issues.set(invoiceId, []);
+    issues.get(invoiceId).push({ item, severity: ISSUE_SEVERITY[item], ...detail });
+  };
+  const sequences = new Map();
+
+  invoices.forEach(invoice => {
+    if (isBlank(invoice.invoiceNumber)) return;
+    const parsed = parseInvoiceNumber(invoice.invoiceNumber, toDate(invoice.issueDate));
+    if (!parsed) {
+      add(invoice.id, 'number_unparseable', { invoiceNumber: invoice.invoiceNumber });
+      return;
+    }
+
+    // Invoices of SecuryFlex itself carry no companyId; their supplier is the BTW number
+    const key = `${invoice.companyId || invoice.btwNumber || invoice.kvkNumber || ''}|${parsed.series}`;
+    if (!sequences.has(key)) sequences.set(key, []);
+    sequences.get(key).push({ id: invoice.id, ...parsed });
+  });
+
+  sequences.forEach(entries => {
+    entries.sort((a, b) => a.sequence - b.sequence);
+    entries.forEach((entry, index) => {
+      const previous = entries[index - 1];
+      if (!previous) return;
+      if (entry.sequence === previous.sequence) {
+        add(entry.id, 'number_duplicate', { duplicateOf: previous.id });
+      } else if (entry.sequence > previous.sequence + 1) {
+        add(entry.id, 'number_gap', {
+          series: entry.series,
+          missingFrom: previous.sequence + 1,
+          missingTo: entry.sequence - 1
+        });
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Invoices issued on or after a date (by any issue date field), read in
+ * pages and normalised
+ */
+async function loadInvoices(since) {
+  const invoices = new Map();
+
+  for (const field of ISSUE_DATE_FIELDS) {
+    let cursor = null;
+
+    for (;;) {
+      let query = db.collection('invoices')
+        .where(field, '>=', since)
+        .orderBy(field)
+        .limit(INVOICE_PAGE_SIZE);
+      if (cursor) query = query.startAfter(cursor);
+
+      const page = await query.get();
+      page.docs.forEach(doc => invoices.set(doc.id, normaliseInvoice(doc.id, doc.data())));
+      if (page.size < INVOICE_PAGE_SIZE) break;
+      cursor = page.docs[page.size - 1];
+    }
+  }
+
+  return [...invoices.values()];
+}
+
+/**
+ * Check the invoices of the current and previous calendar year
+ */
+async function checkBTWCompliance(now = new Date()) {
+  const since = amsterdamTimeToDate(getAmsterdamTime(now).year - 1, 1, 1);
+  const invoices = await loadInvoices(since);
+  const numberingIssues = checkNumbering(invoices);
+
+  const violations = [];
+  invoices.forEach(invoice => {
+    const issues = [...checkInvoice(invoice), ...(numberingIssues.get(invoice.id) || [])];
+    if (issues.length === 0) return;
+
+    const severity = issues.reduce((highest, issue) =>
+      (SEVERITY_ORDER.indexOf(issue.severity) > SEVERITY_ORDER.indexOf(highest) ? issue.severity : highest), 'low');
+    violations.push({
+      type: 'invoice',
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber || null,
+      companyId: invoice.companyId || null,
+      issueDate: toDate(invoice.issueDate),
+      severity,
+      issues
+    });
+  });
+
+  // Most severe invoices first, so the stored list keeps those
+  violations.sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+
+  const bySeverity = {};
+  const byItem = {};
+  violations.forEach(violation => {
+    bySeverity[violation.severity] = (bySeverity[violation.severity] || 0) + 1;
+    violation.issues.forEach(issue => {
+      byItem[issue.item] = (byItem[issue.item] || 0) + 1;
+    });
+  });
+
+  const points = violations.reduce((sum, violation) => sum + SEVERITY_POINTS[violation.severity], 0);
+
+  return {
+    compliant: violations.length === 0,
+    violations: violations.slice(0, MAX_REPORTED_INVOICES),
+    riskScore: Math.min(100, points),
+    summary: {
+      since,
+      invoicesChecked: invoices.length,
+      violationCount: violations.length,
+      bySeverity,
+      byItem
+    }
+  };
+}
+
+module.exports = {
+  checkBTWCompliance
+};
@@ -0,0 +1,237 @@
+/**
+ * SECURYFLEX CERTIFICAATVERLOOP
+ * Staged expiry reminders and automatic expiry of verified certificates
+ *
+ * Holders are reminded at configurable offsets before the expiry date
+ * (compliance_config/certificate_expiry.reminderDaysBefore, default 90,
+ * 30, 7 and 0 days). Each stage is sent once per expiry date: a run
+ * claims the certificate_alerts document {certificateId}_{expiryDate}_{stage}
+ * with a lease before delivery, so overlapping runs skip it, and marks it
+ * sent afterwards. A stage whose delivery failed (or whose run died) is
+ * retried by later runs, up to MAX_REMINDER_ATTEMPTS. A renewed
+ * certificate (new expiry date) starts over.
+ *
+ * On the expiry date (Amsterdam time) the certificate moves to 'expired'
+ * and the guard's employers (active assignment and upcoming shifts) are
+ * notified. A certificate stays verified until its expiry notice went out
+ * (or was given up), so the notice is retried with it.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('./redacting-logger');
+const { DAY_MS, getDateKey, startOfAmsterdamDay } = require('./dutch-calendar');
+const { pickEscalationThreshold } = require('./escalation');
+const { loadCertificateTypes, resolveCertificateType } = require('./certificate-types');
+const { deliverNotification } = require('./notification-delivery');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const DEFAULT_REMINDER_DAYS = [90, 30, 7, 0];
+const REMINDER_LEASE_MS = 10 * 60 * 1000; // a claimed, unsent stage is retried after 10 minutes
+const MAX_REMINDER_ATTEMPTS = 3;
+
+/**
+ * Load the reminder stages (days before the expiry date)
+ */
+async function loadReminderStages() {
+  const configDoc = await db.collection('compliance_config').doc('certificate_expiry').get();
+  const configured = configDoc.exists ? configDoc.data().reminderDaysBefore : null;
+
+  if (Array.isArray(configured) && configured.length > 0 &&
+      configured.every(days => Number.isInteger(days) && days >= 0)) {
+    return configured;
+  }
+  return DEFAULT_REMINDER_DAYS;
+}
+
+/**
+ * Calendar days (Amsterdam) from today until the expiry date
+ */
+function getDaysUntilExpiry(expirationDate, now) {
+  return Math.round((Date.parse(getDateKey(expirationDate)) - Date.parse(getDateKey(now))) / DAY_MS);
+}
+
+/**
+ * Companies employing a guard: the active assignment and upcoming shifts
+ */
+async function getEmployerIds(guardId, now) {
+  const [assignment, shifts] = await Promise.all([
+    db.collection('active_assignments').doc(guardId).get(),
+    db.collection('shifts')
+      .where('assignedGuardId', '==', guardId)
+      .where('startTime', '>=', now)
+      .get()
+  ]);
+
+  const employerIds = new Set(shifts.docs.map(doc => doc.data().companyId).filter(Boolean));
+  if (assignment.exists && assignment.data().companyId) {
+    employerIds.add(assignment.data().companyId);
+  }
+  return [...employerIds];
+}
+
+/**
+ * Claim a reminder stage for delivery: new, or unsent with an expired lease
+ */
+async function claimReminder(alertRef, fields, now) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(alertRef);
+    const alert = doc.exists ? doc.data() : null;
+
+    if (alert && (alert.sent || (alert.attempts || 0) >= MAX_REMINDER_ATTEMPTS)) return false;
+    if (alert && alert.leaseExpiresAt && alert.leaseExpiresAt.toDate() > now) return false;
+
+    transaction.set(alertRef, {
+      ...fields,
+      sent: false,
+      attempts: (alert ? alert.attempts || 0 : 0) + 1,
+      leaseExpiresAt: new Date(now.getTime() + REMINDER_LEASE_MS),
+      createdAt: alert ? alert.createdAt : now
+    });
+    return true;
+  });
+}
+
+/**
+ * Send one reminder stage, unless it was sent for this expiry date already
+ *
+ * Throws when delivery fails; the stage is then retried by a later run.
+ */
+async function sendReminder(certificateDoc, typeName, stage, daysLeft, now) {
+  const certificate = certificateDoc.data();
+  const expirationDate = certificate.expirationDate.toDate();
+  const alertRef = db.collection('certificate_alerts')
+    .doc(`${certificateDoc.id}_${getDateKey(expirationDate)}_${stage}`);
+
+  const claimed = await claimReminder(alertRef, {
+    userId: certificate.userId,
+    certificateId: certificateDoc.id,
+    alertType: daysLeft <= 0 ? 'expired' : 'expiration_warning',
+    stage,
+    expirationDate,
+    daysUntilExpiration: daysLeft
+  }, new Date());
+  if (!claimed) return false;
+
+  const expiryText = getDateKey(expirationDate).split('-').reverse().join('-');
+  const notification = daysLeft <= 0
+    ? {
+      type: 'certificate_expired',
+      title: `Uw ${typeName} is verlopen`,
+      body: `Uw ${typeName} (${certificate.certificateNumber}) is op ${expiryText} verlopen. ` +
+        'U kunt niet worden ingezet voor werk waarvoor dit certificaat vereist is.'
+    }
+    : {
+      type: 'certificate_expiring',
+      title: `Uw ${typeName} verloopt over ${daysLeft} dag(en)`,
+      body: `Uw ${typeName} (${certificate.certificateNumber}) verloopt op ${expiryText}. ` +
+        'Vraag tijdig verlenging aan.'
+    };
+
+  try {
+    const delivery = await deliverNotification(certificate.userId, {
+      ...notification,
+      data: { certificateId: certificateDoc.id, stage }
+    }, { category: 'certificate' });
+
+    await alertRef.update({ sent: true, sentAt: new Date(), leaseExpiresAt: null, delivery });
+    return true;
+  } catch (error) {
+    // Release the lease so the next run retries this stage
+    await alertRef.update({ leaseExpiresAt: null, lastError: error.message, lastErrorAt: new Date() });
+    throw error;
+  }
+}
+
+/**
+ * Move a certificate to expired and notify the guard's employers
+ *
+ * Returns the number of employers notified, or null when the certificate
+ * was no longer verified.
+ */
+async function expireCertificate(certificateDoc, typeName, now) {
+  const expired = await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(certificateDoc.ref);
+    if (!current.exists || current.data().status !== 'verified') return false;
+
+    transaction.update(certificateDoc.ref, { status: 'expired', expiredAt: now });
+    return true;
+  });
+  if (!expired) return null;
+
+  const certificate = certificateDoc.data();
+  await db.collection('certificate_audit').add({
+    timestamp: now,
+    userId: certificate.userId,
+    certificateId: certificateDoc.id,
+    action: 'certificate_expired',
+    success: true,
+    expirationDate: certificate.expirationDate
+  });
+
+  const employerIds = await getEmployerIds(certificate.userId, now);
+  for (const employerId of employerIds) {
+    await deliverNotification(employerId, {
+      type: 'guard_certificate_expired',
+      title: 'Certificaat van beveiliger verlopen',
+      body: `Het ${typeName} van ${certificate.holderName} is verlopen. Controleer de planning van deze beveiliger.`,
+      data: { certificateId: certificateDoc.id, guardId: certificate.userId }
+    }, { category: 'certificate' });
+  }
+  return employerIds.length;
+}
+
+/**
+ * Send due reminders and expire certificates whose expiry date has come
+ */
+async function processCertificateExpiry(now = new Date()) {
+  const stages = await loadReminderStages();
+  const horizon = startOfAmsterdamDay(now, Math.max(...stages) + 1);
+
+  const [certificates, types] = await Promise.all([
+    db.collection('certificates')
+      .where('status', '==', 'verified')
+      .where('expirationDate', '<', horizon)
+      .get(),
+    loadCertificateTypes()
+  ]);
+
+  const results = { checked: certificates.size, remindersSent: 0, reminderFailures: 0, expired: 0, employersNotified: 0 };
+
+  for (const doc of certificates.docs) {
+    const certificate = doc.data();
+    const type = resolveCertificateType(certificate, types);
+    const typeName = type ? type.name : 'certificaat';
+    const daysLeft = getDaysUntilExpiry(certificate.expirationDate.toDate(), now);
+    const stage = pickEscalationThreshold(stages, daysLeft);
+
+    let reminderFailed = false;
+    if (stage !== null) {
+      try {
+        if (await sendReminder(doc, typeName, stage, daysLeft, now)) results.remindersSent++;
+      } catch (error) {
+        logger.error(`Certificate expiry reminder failed for ${doc.id}:`, error);
+        results.reminderFailures++;
+        reminderFailed = true;
+      }
+    }
+
+    // Keep the certificate in this query until its expiry notice is out
+    const employersNotified = daysLeft <= 0 && !reminderFailed ? await expireCertificate(doc, typeName, now) : null;
+    if (employersNotified !== null) {
+      results.expired++;
+      results.employersNotified += employersNotified;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  processCertificateExpiry
+};
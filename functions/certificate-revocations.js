@@ -0,0 +1,363 @@
+/**
+ * SECURYFLEX CERTIFICATE REVOCATIONS
+ * Bulk import of revocation lists and rechecks of verified certificates
+ *
+ * Admins upload a revocation list (CSV or JSON) to Storage under
+ * revocation_imports/ and start the import. Each row is upserted into
+ * certificate_revocations/{type}_{number} with recheckStatus 'pending'.
+ * The recheck job then looks up verified certificates for every pending
+ * revocation, marks them revoked, alerts the holder and flags the guard's
+ * upcoming shifts for the employer.
+ *
+ * CSV files need a header row; the delimiter (comma or semicolon, as Dutch
+ * Excel writes) is taken from the header. JSON files hold an array of rows (or
+ * { revocations: [...] }). Columns: certificateNumber (required),
+ * certificateType (derived from the number when empty), reason, revokedAt
+ * (ISO date, defaults to the import time) and issuingAuthority.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { loadCertificateTypes, resolveCertificateType } = require('./certificate-types');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+const storage = getStorage();
+
+const IMPORT_PATH_PREFIX = 'revocation_imports/';
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024; // 10MB
+const MAX_REPORTED_ROW_ERRORS = 100;
+const RECHECK_BATCH_SIZE = 100;
+
+// Shifts in these states no longer need a guard
+const CLOSED_SHIFT_STATUSES = ['cancelled', 'completed', 'noShow', 'expired'];
+
+/**
+ * Delimiter of a CSV file: the more frequent of ';' and ',' in its header
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const count = delimiter => header.split(delimiter).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Parse an uploaded revocation list into plain row objects
+ */
+function parseRevocationFile(content, format) {
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    const rows = Array.isArray(parsed) ? parsed : parsed && parsed.revocations;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON revocation list must be an array or { revocations: [...] }');
+    }
+    return rows;
+  }
+
+  const text = content.replace(/^\uFEFF/, '');
+  const [header, ...lines] = parseCsv(text, detectDelimiter(text));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return lines.map(fields => Object.fromEntries(
+    columns.map((column, index) => [column, (fields[index] || '').trim()])
+  ));
+}
+
+/**
+ * Validate and normalise one row, returning { revocation } or { errors }
+ */
+function normaliseRevocation(row, types, importedAt) {
+  const errors = [];
+  const certificateNumber = String((row && row.certificateNumber) || '').trim().toUpperCase();
+  const type = resolveCertificateType({
+    certificateNumber,
+    certificateType: (row && row.certificateType) ? String(row.certificateType).trim().toUpperCase() : undefined
+  }, types);
+
+  if (!certificateNumber) {
+    errors.push('certificateNumber missing');
+  }
+  if (!type) {
+    errors.push('Unknown certificate type');
+  } else if (certificateNumber && !new RegExp(type.numberPattern).test(certificateNumber)) {
+    errors.push(`Invalid ${type.id} certificate number format`);
+  }
+
+  let revokedAt = importedAt;
+  if (row && row.revokedAt) {
+    revokedAt = new Date(row.revokedAt);
+    if (isNaN(revokedAt.getTime())) errors.push('revokedAt is not a valid date');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    revocation: {
+      certificateNumber,
+      certificateType: type.id,
+      reason: row.reason ? String(row.reason).slice(0, 500) : null,
+      issuingAuthority: row.issuingAuthority ? String(row.issuingAuthority) : null,
+      revokedAt
+    }
+  };
+}
+
+/**
+ * Import a revocation list from Storage
+ *
+ * Throws an Error with a code (invalid-argument, not-found) that callers
+ * map to their own error type. Returns the import summary.
+ */
+async function importRevocationList(filePath, adminId, now = new Date()) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  const format = /\.json$/i.test(filePath || '') ? 'json' : /\.csv$/i.test(filePath || '') ? 'csv' : null;
+
+  if (typeof filePath !== 'string' || !filePath.startsWith(IMPORT_PATH_PREFIX) || filePath.includes('..')) {
+    throw fail('invalid-argument', `File must be uploaded under ${IMPORT_PATH_PREFIX}`);
+  }
+  if (!format) {
+    throw fail('invalid-argument', 'File must be a .csv or .json revocation list');
+  }
+
+  const file = storage.bucket().file(filePath);
+  const [exists] = await file.exists();
+  if (!exists) {
+    throw fail('not-found', 'Revocation list not found in Storage');
+  }
+
+  const [metadata] = await file.getMetadata();
+  if (Number(metadata.size) > MAX_IMPORT_BYTES) {
+    throw fail('invalid-argument', 'Revocation list is larger than 10MB');
+  }
+
+  const [content] = await file.download();
+  let rows;
+  try {
+    rows = parseRevocationFile(content.toString('utf8'), format);
+  } catch (error) {
+    throw fail('invalid-argument', `Could not parse revocation list: ${error.message}`);
+  }
+
+  const importRef = db.collection('revocation_imports').doc();
+  const types = await loadCertificateTypes();
+  const rowErrors = [];
+  const seen = new Set();
+  const writes = [];
+  let duplicates = 0;
+
+  const writer = db.bulkWriter();
+  rows.forEach((row, index) => {
+    const { revocation, errors } = normaliseRevocation(row, types, now);
+    if (errors) {
+      rowErrors.push({ row: index + 1, errors });
+      return;
+    }
+
+    const revocationId = `${revocation.certificateType}_${revocation.certificateNumber}`;
+    if (seen.has(revocationId)) {
+      duplicates++;
+      return;
+    }
+    seen.add(revocationId);
+
+    const write = writer.set(db.collection('certificate_revocations').doc(revocationId), {
+      ...revocation,
+      importId: importRef.id,
+      sourceFile: filePath,
+      importedBy: adminId,
+      importedAt: now,
+      recheckStatus: 'pending'
+    }, { merge: true });
+    writes.push(write.then(() => null, error => ({ row: index + 1, errors: [`Write failed: ${error.message}`] })));
+  });
+  await writer.close();
+
+  // Rows whose write failed after the writer's retries are reported, not counted
+  const failedWrites = (await Promise.all(writes)).filter(Boolean);
+
+  const summary = {
+    filePath,
+    format,
+    totalRows: rows.length,
+    imported: writes.length - failedWrites.length,
+    duplicates,
+    invalidRows: rowErrors.length,
+    failedRows: failedWrites.length,
+    rowErrors: [...rowErrors, ...failedWrites].slice(0, MAX_REPORTED_ROW_ERRORS),
+    importedBy: adminId,
+    createdAt: now
+  };
+  await importRef.set(summary);
+
+  return { importId: importRef.id, ...summary };
+}
+
+/**
+ * Flag the guard's upcoming shifts and notify their employers
+ */
+async function flagUpcomingShifts(userId, certificateId, certificateType, now) {
+  const shifts = await db.collection('shifts')
+    .where('assignedGuardId', '==', userId)
+    .where('startTime', '>=', now)
+    .get();
+
+  const upcoming = shifts.docs.filter(doc => !CLOSED_SHIFT_STATUSES.includes(doc.data().status));
+
+  for (const doc of upcoming) {
+    const shift = doc.data();
+    await doc.ref.update({
+      certificateFlag: { reason: 'certificate_revoked', certificateId, certificateType, flaggedAt: now },
+      updatedAt: now
+    });
+
+    if (shift.companyId) {
+      await db.collection('notifications').add({
+        userId: shift.companyId,
+        type: 'shift_guard_certificate_revoked',
+        title: 'Certificaat van ingeplande beveiliger ingetrokken',
+        body: `Het ${certificateType}-certificaat van de beveiliger voor dienst ${shift.title || doc.id} is ingetrokken. Controleer de planning.`,
+        shiftId: doc.id,
+        guardId: userId,
+        read: false,
+        createdAt: now
+      });
+    }
+  }
+
+  return upcoming.length;
+}
+
+/**
+ * Revoke the verified certificates matching one revocation
+ */
+async function applyRevocation(revocationDoc, types, now) {
+  const revocation = revocationDoc.data();
+  const certificates = await db.collection('certificates')
+    .where('certificateNumber', '==', revocation.certificateNumber)
+    .where('status', '==', 'verified')
+    .get();
+
+  let revokedCertificates = 0;
+  let flaggedShifts = 0;
+
+  for (const doc of certificates.docs) {
+    const certificate = doc.data();
+    const type = resolveCertificateType(certificate, types);
+    if (!type || type.id !== revocation.certificateType) continue;
+
+    await doc.ref.update({
+      status: 'revoked',
+      revokedAt: now,
+      revocationId: revocationDoc.id,
+      revocationReason: revocation.reason || null
+    });
+
+    await db.collection('certificate_audit').add({
+      timestamp: now,
+      userId: certificate.userId,
+      certificateId: doc.id,
+      action: 'certificate_revoked',
+      success: true,
+      revocationId: revocationDoc.id,
+      importId: revocation.importId || null
+    });
+
+    await db.collection('notifications').add({
+      userId: certificate.userId,
+      type: 'certificate_revoked',
+      title: 'Uw certificaat is ingetrokken',
+      body: `Uw ${type.name} (${revocation.certificateNumber}) is ingetrokken door de uitgevende instantie. U kunt hiermee niet meer worden ingezet.`,
+      certificateId: doc.id,
+      read: false,
+      createdAt: now
+    });
+
+    flaggedShifts += await flagUpcomingShifts(certificate.userId, doc.id, type.id, now);
+    revokedCertificates++;
+  }
+
+  await revocationDoc.ref.update({
+    recheckStatus: 'done',
+    recheckedAt: now,
+    revokedCertificates,
+    flaggedShifts
+  });
+
+  return { revokedCertificates, flaggedShifts };
+}
+
+/**
+ * Check verified certificates against revocations not yet rechecked
+ */
+async function recheckRevokedCertificates(now = new Date()) {
+  const pending = await db.collection('certificate_revocations')
+    .where('recheckStatus', '==', 'pending')
+    .limit(RECHECK_BATCH_SIZE)
+    .get();
+
+  const types = await loadCertificateTypes();
+  const totals = { revocations: pending.size, revokedCertificates: 0, flaggedShifts: 0 };
+
+  for (const doc of pending.docs) {
+    const result = await applyRevocation(doc, types, now);
+    totals.revokedCertificates += result.revokedCertificates;
+    totals.flaggedShifts += result.flaggedShifts;
+  }
+
+  return totals;
+}
+
+module.exports = {
+  importRevocationList,
+  recheckRevokedCertificates
+};
@@ -0,0 +1,293 @@
+/**
+ * SECURYFLEX CERTIFICATE TYPE DEFINITIONS
+ * Data-driven validation rules per certificate type
+ *
+ * Definitions live in certificate_types/{typeId} and override the
+ * built-in defaults with the same id. Each definition gives:
+ * - numberPattern: regular expression the certificate number must match
+ * - allowedAuthorities: issuing authorities that issue this type
+ * - maxValidityMonths: longest period from issue to expiry (null: no limit)
+ * - requiredAttachments: document types that must be uploaded
+ *   (certificates/{id}/documents documentType), checked before verification
+ *
+ * validateCertificateAgainstTypes reports every failed rule rather than
+ * stopping at the first.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('./redacting-logger');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+// Definitions are re-read from Firestore at most once per minute per instance
+const TYPE_CACHE_TTL_MS = 60 * 1000;
+
+// Longest accepted validity when configuring a type (50 years)
+const MAX_CONFIGURABLE_VALIDITY_MONTHS = 600;
+
+const DEFAULT_CERTIFICATE_TYPES = {
+  WPBR: {
+    name: 'WPBR-certificaat',
+    numberPattern: '^WPBR-[A-Z0-9]{8,12}$',
+    allowedAuthorities: ['Politie Nederland', 'Ministerie van Justitie'],
+    maxValidityMonths: 60,
+    requiredAttachments: ['certificate_scan'],
+    enabled: true
+  },
+  BEVEILIGERSPAS: {
+    name: 'Beveiligerspas',
+    numberPattern: '^BP-[A-Z0-9]{6,10}$',
+    allowedAuthorities: ['Politie Nederland'],
+    maxValidityMonths: 36,
+    requiredAttachments: ['pass_front', 'pass_back'],
+    enabled: true
+  },
+  DIPLOMA_BEVEILIGER_2: {
+    name: 'Diploma Beveiliger 2',
+    numberPattern: '^DB2-[A-Z0-9]{6,12}$',
+    allowedAuthorities: ['SVPB'],
+    maxValidityMonths: null,
+    requiredAttachments: ['diploma_scan'],
+    enabled: true
+  },
+  SVPB: {
+    name: 'SVPB-diploma',
+    numberPattern: '^SVPB-[A-Z0-9]{8,12}$',
+    allowedAuthorities: ['SVPB'],
+    maxValidityMonths: null,
+    requiredAttachments: ['diploma_scan'],
+    enabled: true
+  },
+  VCA: {
+    name: 'VCA-certificaat',
+    numberPattern: '^VCA-[A-Z0-9]{8,10}$',
+    allowedAuthorities: ['VCA Nederland'],
+    maxValidityMonths: 120,
+    requiredAttachments: ['certificate_scan'],
+    enabled: true
+  },
+  BHV: {
+    name: 'BHV-certificaat',
+    numberPattern: '^BHV-[A-Z0-9]{6,10}$',
+    allowedAuthorities: ['BHV Nederland'],
+    maxValidityMonths: 12,
+    requiredAttachments: ['certificate_scan'],
+    enabled: true
+  },
+  EHBO: {
+    name: 'EHBO-diploma',
+    numberPattern: '^EHBO-[A-Z0-9]{6,10}$',
+    allowedAuthorities: ['EHBO Nederland'],
+    maxValidityMonths: 24,
+    requiredAttachments: ['certificate_scan'],
+    enabled: true
+  }
+};
+
+const TYPE_FIELDS = ['name', 'numberPattern', 'allowedAuthorities', 'maxValidityMonths', 'requiredAttachments', 'enabled'];
+
+let cachedTypes = null;
+let cachedAt = 0;
+
+/**
+ * Keep only the known fields of a type definition update
+ */
+function sanitizeCertificateType(definition) {
+  const sanitized = {};
+  for (const field of TYPE_FIELDS) {
+    if (definition && definition[field] !== undefined) sanitized[field] = definition[field];
+  }
+  return sanitized;
+}
+
+/**
+ * Validate a certificate type definition, returning all problems found
+ */
+function validateCertificateType(definition) {
+  const errors = [];
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+
+  if (!definition || typeof definition !== 'object') {
+    return ['Definition must be an object'];
+  }
+  if (typeof definition.name !== 'string' || !definition.name) {
+    errors.push('name must be a non-empty string');
+  }
+  if (typeof definition.numberPattern !== 'string' || !definition.numberPattern) {
+    errors.push('numberPattern must be a regular expression');
+  } else {
+    try {
+      new RegExp(definition.numberPattern);
+    } catch (error) {
+      errors.push(`numberPattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+  if (!isStringList(definition.allowedAuthorities) || definition.allowedAuthorities.length === 0) {
+    errors.push('allowedAuthorities must be a non-empty list of authority names');
+  }
+  if (definition.maxValidityMonths !== null &&
+      (!Number.isInteger(definition.maxValidityMonths) || definition.maxValidityMonths < 1 ||
+       definition.maxValidityMonths > MAX_CONFIGURABLE_VALIDITY_MONTHS)) {
+    errors.push(`maxValidityMonths must be null or an integer between 1 and ${MAX_CONFIGURABLE_VALIDITY_MONTHS}`);
+  }
+  if (!isStringList(definition.requiredAttachments)) {
+    errors.push('requiredAttachments must be a list of document types');
+  }
+  if (typeof definition.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Load the effective definitions: defaults overridden by Firestore
+ */
+async function loadCertificateTypes({ forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedTypes && Date.now() - cachedAt < TYPE_CACHE_TTL_MS) {
+    return cachedTypes;
+  }
+
+  const types = {};
+  for (const [typeId, definition] of Object.entries(DEFAULT_CERTIFICATE_TYPES)) {
+    types[typeId] = { id: typeId, source: 'default', ...definition };
+  }
+
+  const snapshot = await db.collection('certificate_types').get();
+  snapshot.docs.forEach(doc => {
+    const defaults = Object.prototype.hasOwnProperty.call(DEFAULT_CERTIFICATE_TYPES, doc.id)
+      ? DEFAULT_CERTIFICATE_TYPES[doc.id]
+      : {};
+    const definition = { ...defaults, ...sanitizeCertificateType(doc.data()) };
+    const errors = validateCertificateType(definition);
+
+    if (errors.length > 0) {
+      // Keep the previous (default) definition rather than validating against a broken one
+      logger.warn(`Ignoring invalid certificate type ${doc.id}:`, errors);
+      return;
+    }
+
+    types[doc.id] = { id: doc.id, source: 'firestore', ...definition };
+  });
+
+  cachedTypes = types;
+  cachedAt = Date.now();
+  return types;
+}
+
+/**
+ * Forget cached definitions so the next validation re-reads Firestore
+ */
+function clearCertificateTypeCache() {
+  cachedTypes = null;
+  cachedAt = 0;
+}
+
+/**
+ * Definition for a certificate: by certificateType, or else the enabled
+ * type whose number pattern matches (older certificates have no type).
+ * A malformed number still resolves by its prefix (WPBR-..., BP-...) so
+ * the other rules of that type are checked too.
+ */
+function resolveCertificateType(certData, types) {
+  if (certData.certificateType) {
+    return types[certData.certificateType] || null;
+  }
+
+  const number = certData.certificateNumber || '';
+  const enabled = Object.values(types).filter(type => type.enabled);
+  const prefix = `^${number.split('-')[0]}-`;
+
+  return enabled.find(type => new RegExp(type.numberPattern).test(number)) ||
+    enabled.find(type => number.includes('-') && type.numberPattern.startsWith(prefix)) ||
+    null;
+}
+
+/**
+ * Convert a Date or Firestore timestamp to a Date (null otherwise)
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return null;
+}
+
+/**
+ * Check a certificate against its type definition
+ *
+ * Returns { type, failures: [{ rule, message }] }; an empty failure list
+ * means the certificate passes every rule.
+ */
+function validateCertificateAgainstTypes(certData, types, now = new Date()) {
+  const failures = [];
+  const fail = (rule, message) => failures.push({ rule, message });
+  const type = resolveCertificateType(certData, types);
+
+  if (!type) {
+    fail('certificate_type', `Unknown certificate type: ${certData.certificateType || 'none'}`);
+  } else if (!type.enabled) {
+    fail('certificate_type', `Certificate type ${type.id} is not accepted`);
+  }
+
+  if (type && !new RegExp(type.numberPattern).test(certData.certificateNumber || '')) {
+    fail('number_format', `Invalid ${type.id} certificate number format`);
+  }
+
+  if (type && !type.allowedAuthorities.includes(certData.issuingAuthority)) {
+    fail('issuing_authority', `${certData.issuingAuthority || 'Unknown authority'} does not issue ${type.name} (allowed: ${type.allowedAuthorities.join(', ')})`);
+  }
+
+  const issueDate = toDate(certData.issueDate);
+  const expirationDate = toDate(certData.expirationDate);
+
+  if (!issueDate) {
+    fail('issue_date', 'Issue date missing');
+  } else if (issueDate > now) {
+    fail('issue_date', 'Issue date is in the future');
+  }
+
+  if (!expirationDate) {
+    fail('expiration_date', 'Expiration date missing');
+  } else if (expirationDate <= now) {
+    fail('expired', 'Certificate has expired');
+  }
+
+  if (issueDate && expirationDate) {
+    if (expirationDate <= issueDate) {
+      fail('expiration_date', 'Expiration date must be after the issue date');
+    } else if (type && type.maxValidityMonths !== null) {
+      const latestExpiry = new Date(issueDate.getTime());
+      latestExpiry.setUTCMonth(latestExpiry.getUTCMonth() + type.maxValidityMonths);
+      latestExpiry.setUTCDate(latestExpiry.getUTCDate() + 1); // issue and expiry day both count
+
+      if (expirationDate > latestExpiry) {
+        fail('validity_period', `${type.name} is valid for at most ${type.maxValidityMonths} months`);
+      }
+    }
+  }
+
+  return { type, failures };
+}
+
+/**
+ * Required attachments of a type that are not among the uploaded document types
+ */
+function getMissingAttachments(type, documentTypes) {
+  return type ? type.requiredAttachments.filter(required => !documentTypes.includes(required)) : [];
+}
+
+module.exports = {
+  DEFAULT_CERTIFICATE_TYPES,
+  clearCertificateTypeCache,
+  getMissingAttachments,
+  loadCertificateTypes,
+  resolveCertificateType,
+  sanitizeCertificateType,
+  validateCertificateAgainstTypes,
+  validateCertificateType
+};
@@ -0,0 +1,353 @@
+/**
+ * SECURYFLEX CERTIFICATE VERIFICATION QUEUE
+ * Verification of certificates against the issuing authority
+ *
+ * Every certificate that passes the upload checks gets a queue entry in
+ * certificate_verifications/{certificateId}:
+ *
+ *   pending -> verifying -> verified | rejected | needs_manual_review
+ *                  |
+ *                  +-> pending (transient error, retried with backoff)
+ *
+ * Authorities without an adapter, registry mismatches, unknown numbers and
+ * exhausted retries end in needs_manual_review for an admin to decide.
+ * Certificates still missing the attachments their type requires wait
+ * (without using up attempts) for up to ATTACHMENT_WAIT_MS.
+ * Every attempt and decision is written to certificate_audit.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getVerifierAdapter } = require('./certificate-verifiers');
+const { getMissingAttachments, loadCertificateTypes, resolveCertificateType } = require('./certificate-types');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 60 * 1000; // 1 minute, doubled per attempt
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+const LEASE_MS = 5 * 60 * 1000; // a verifying entry is retried after 5 minutes
+const ATTACHMENT_RECHECK_MS = 60 * 60 * 1000; // 1 hour
+const ATTACHMENT_WAIT_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const BATCH_SIZE = 50;
+
+// Adapter outcome -> queue state
+const OUTCOME_STATES = {
+  valid: 'verified',
+  invalid: 'rejected',
+  mismatch: 'needs_manual_review',
+  not_found: 'needs_manual_review'
+};
+
+/**
+ * Delay before retry number `attempt` (1-based)
+ */
+function getBackoffMs(attempt) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Write a certificate_audit entry
+ */
+async function writeCertificateAudit(entry) {
+  await db.collection('certificate_audit').add({
+    timestamp: new Date(),
+    ...entry
+  });
+}
+
+/**
+ * Mirror the queue state onto the certificate
+ *
+ * Until the queue verifies it, a certificate is 'pending', whatever status
+ * it was created with.
+ */
+function certificateUpdate(state, now) {
+  const update = { verificationStatus: state, verificationUpdatedAt: now };
+  if (state === 'verified') Object.assign(update, { status: 'verified', verifiedAt: now });
+  else if (state === 'rejected') Object.assign(update, { status: 'rejected' });
+  else Object.assign(update, { status: 'pending' });
+  return update;
+}
+
+/**
+ * Queue a certificate for verification
+ */
+async function scheduleAutomaticVerification(certificateId, certData, now = new Date()) {
+  const adapter = getVerifierAdapter(certData.issuingAuthority);
+  const state = adapter ? 'pending' : 'needs_manual_review';
+
+  await db.collection('certificate_verifications').doc(certificateId).set({
+    certificateId,
+    userId: certData.userId,
+    certificateType: certData.certificateType || null,
+    issuingAuthority: certData.issuingAuthority,
+    adapter: adapter ? adapter.id : null,
+    state,
+    attempts: 0,
+    nextAttemptAt: adapter ? now : null,
+    reviewReason: adapter ? null : 'no_adapter',
+    createdAt: now,
+    updatedAt: now
+  });
+
+  await db.collection('certificates').doc(certificateId).update(certificateUpdate(state, now));
+
+  await writeCertificateAudit({
+    userId: certData.userId,
+    certificateId,
+    action: 'verification_queued',
+    success: true,
+    state,
+    adapter: adapter ? adapter.id : null
+  });
+
+  return state;
+}
+
+/**
+ * Claim a queue entry for an attempt (pending, or verifying past its lease)
+ */
+async function claimVerification(ref, now) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const entry = doc.data();
+    const leaseExpired = entry.state === 'verifying' && entry.leaseExpiresAt && entry.leaseExpiresAt.toDate() <= now;
+
+    if (entry.state !== 'pending' && !leaseExpired) return null;
+
+    const attempts = (entry.attempts || 0) + 1;
+    transaction.update(ref, {
+      state: 'verifying',
+      attempts,
+      leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+      updatedAt: now
+    });
+    return { ...entry, attempts };
+  });
+}
+
+/**
+ * Attachments the certificate's type requires that are not uploaded yet
+ */
+async function findMissingAttachments(certificateRef, certificate) {
+  const type = resolveCertificateType(certificate, await loadCertificateTypes());
+  if (!type || type.requiredAttachments.length === 0) return [];
+
+  const documents = await certificateRef.collection('documents').select('documentType').get();
+  return getMissingAttachments(type, documents.docs.map(doc => doc.data().documentType));
+}
+
+/**
+ * Put an entry back to wait for attachments, or hand it to an admin when
+ * they are still missing after ATTACHMENT_WAIT_MS
+ */
+async function awaitAttachments(ref, entry, certificate, missingAttachments, now) {
+  const waitingSince = entry.createdAt.toDate();
+  const gaveUp = now.getTime() - waitingSince.getTime() >= ATTACHMENT_WAIT_MS;
+  const state = gaveUp ? 'needs_manual_review' : 'pending';
+
+  await ref.update({
+    state,
+    // Waiting for uploads does not count as a verification attempt
+    attempts: entry.attempts - 1,
+    missingAttachments,
+    leaseExpiresAt: null,
+    nextAttemptAt: gaveUp ? null : new Date(now.getTime() + ATTACHMENT_RECHECK_MS),
+    reviewReason: gaveUp ? 'missing_attachments' : null,
+    ...(gaveUp ? { completedAt: now } : {}),
+    updatedAt: now
+  });
+
+  if (gaveUp) {
+    await db.collection('certificates').doc(entry.certificateId).update(certificateUpdate(state, now));
+    await writeCertificateAudit({
+      userId: certificate.userId,
+      certificateId: entry.certificateId,
+      action: 'verification_attempt',
+      state,
+      success: false,
+      missingAttachments
+    });
+  }
+
+  return gaveUp ? state : 'awaiting_attachments';
+}
+
+/**
+ * Run one verification attempt for a queue entry
+ */
+async function attemptVerification(ref, now = new Date()) {
+  const entry = await claimVerification(ref, now);
+  if (!entry) return null;
+
+  const { certificateId, attempts } = entry;
+  const certificateRef = db.collection('certificates').doc(certificateId);
+  const certificateDoc = await certificateRef.get();
+
+  if (!certificateDoc.exists) {
+    await ref.delete();
+    return 'deleted';
+  }
+
+  const certificate = certificateDoc.data();
+  const missingAttachments = await findMissingAttachments(certificateRef, certificate);
+
+  if (missingAttachments.length > 0) {
+    return awaitAttachments(ref, entry, certificate, missingAttachments, now);
+  }
+
+  const adapter = getVerifierAdapter(certificate.issuingAuthority);
+  let state;
+  let update;
+  let audit;
+
+  try {
+    if (!adapter) {
+      throw Object.assign(new Error('No verifier adapter for authority'), { retryable: false, reason: 'no_adapter' });
+    }
+
+    const { outcome, details } = await adapter.verify(certificate);
+    state = OUTCOME_STATES[outcome] || 'needs_manual_review';
+    update = { outcome, details: details || {}, reviewReason: state === 'needs_manual_review' ? outcome : null };
+    audit = { success: state === 'verified', outcome, details: details || {} };
+
+  } catch (error) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    state = error.retryable && !exhausted ? 'pending' : 'needs_manual_review';
+    update = {
+      lastError: error.message,
+      nextAttemptAt: state === 'pending' ? new Date(now.getTime() + getBackoffMs(attempts)) : null,
+      reviewReason: state === 'pending' ? null : (error.reason || (exhausted ? 'retries_exhausted' : 'error'))
+    };
+    audit = { success: false, error: error.message, retryable: Boolean(error.retryable) };
+  }
+
+  await ref.update({
+    ...update,
+    state,
+    missingAttachments: [],
+    adapter: adapter ? adapter.id : null,
+    leaseExpiresAt: null,
+    ...(state !== 'pending' ? { nextAttemptAt: null, completedAt: now } : {}),
+    updatedAt: now
+  });
+  await certificateRef.update(certificateUpdate(state, now));
+
+  await writeCertificateAudit({
+    userId: certificate.userId,
+    certificateId,
+    action: 'verification_attempt',
+    state,
+    attempt: attempts,
+    adapter: adapter ? adapter.id : null,
+    ...audit
+  });
+
+  return state;
+}
+
+/**
+ * Process queue entries that are due, and verifying entries whose lease expired
+ */
+async function processVerificationQueue(now = new Date()) {
+  const [due, stale] = await Promise.all([
+    db.collection('certificate_verifications')
+      .where('state', '==', 'pending')
+      .where('nextAttemptAt', '<=', now)
+      .orderBy('nextAttemptAt')
+      .limit(BATCH_SIZE)
+      .get(),
+    db.collection('certificate_verifications')
+      .where('state', '==', 'verifying')
+      .where('leaseExpiresAt', '<=', now)
+      .limit(BATCH_SIZE)
+      .get()
+  ]);
+
+  const results = {};
+  for (const doc of [...due.docs, ...stale.docs]) {
+    const state = await attemptVerification(doc.ref, now);
+    if (state) results[state] = (results[state] || 0) + 1;
+  }
+  return results;
+}
+
+/**
+ * Admin decision on a queue entry
+ *
+ * decision: verified or rejected (from needs_manual_review), or retry
+ * (from needs_manual_review or rejected; restarts automatic verification).
+ * Throws an Error with a code (invalid-argument, not-found,
+ * failed-precondition) that callers map to their own error type.
+ */
+async function reviewVerification(certificateId, adminId, decision, notes, now = new Date()) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  const allowedFrom = {
+    verified: ['needs_manual_review'],
+    rejected: ['needs_manual_review'],
+    retry: ['needs_manual_review', 'rejected']
+  };
+
+  if (!allowedFrom[decision]) {
+    throw fail('invalid-argument', 'Decision must be verified, rejected or retry');
+  }
+  if (decision === 'rejected' && (typeof notes !== 'string' || notes.trim().length === 0)) {
+    throw fail('invalid-argument', 'Notes required when rejecting');
+  }
+
+  const ref = db.collection('certificate_verifications').doc(certificateId);
+  const certificateRef = db.collection('certificates').doc(certificateId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [doc, certificateDoc] = await Promise.all([transaction.get(ref), transaction.get(certificateRef)]);
+    if (!doc.exists || !certificateDoc.exists) throw fail('not-found', 'Certificate verification not found');
+
+    const entry = doc.data();
+    if (!allowedFrom[decision].includes(entry.state)) {
+      throw fail('failed-precondition', `Cannot ${decision} a verification in state ${entry.state}`);
+    }
+
+    const state = decision === 'retry' ? 'pending' : decision;
+    const review = { decision, reviewedBy: adminId, reviewedAt: now, notes: notes || null };
+
+    transaction.update(ref, {
+      state,
+      review,
+      updatedAt: now,
+      ...(decision === 'retry'
+        ? { attempts: 0, nextAttemptAt: now, lastError: null, reviewReason: null, completedAt: null }
+        : { completedAt: now })
+    });
+    transaction.update(certificateRef, {
+      ...certificateUpdate(state, now),
+      ...(decision === 'verified' ? { verifiedBy: adminId } : {})
+    });
+
+    return { state, userId: certificateDoc.data().userId, previousState: entry.state };
+  });
+
+  await writeCertificateAudit({
+    userId: result.userId,
+    certificateId,
+    action: 'verification_reviewed',
+    success: true,
+    state: result.state,
+    previousState: result.previousState,
+    reviewedBy: adminId,
+    notes: notes || null
+  });
+
+  return result.state;
+}
+
+module.exports = {
+  getBackoffMs,
+  processVerificationQueue,
+  reviewVerification,
+  scheduleAutomaticVerification
+};
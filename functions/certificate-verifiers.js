@@ -0,0 +1,127 @@
+/**
+ * SECURYFLEX CERTIFICATE VERIFIER ADAPTERS
+ * Pluggable verification per issuing authority
+ *
+ * An adapter is { id, verify(certificate) } where verify resolves to
+ * { outcome, details } with outcome one of:
+ * - valid: the registry confirms the certificate
+ * - invalid: the registry reports it revoked, suspended or withdrawn
+ * - mismatch: the certificate exists but holder or dates differ
+ * - not_found: the registry does not know the certificate number
+ * Transient failures (registry down, timeouts) throw an Error with
+ * retryable: true; the verification queue retries those with backoff.
+ *
+ * Until the authorities' registries are connected, every known authority
+ * uses the local stand-in registry (local_certificate_registry), which
+ * admins and tests fill with certificates to verify against.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const adapters = new Map();
+
+/**
+ * Normalise a name for comparison (case, accents and spacing)
+ */
+function normaliseName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Same calendar day (UTC) for two dates or timestamps
+ */
+function isSameDay(a, b) {
+  const toDay = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value)
+    .toISOString().split('T')[0];
+  return Boolean(a && b) && toDay(a) === toDay(b);
+}
+
+/**
+ * Stand-in registry backed by local_certificate_registry/{type}_{number}
+ *
+ * Registry entries hold holderName, expirationDate, status ('valid',
+ * 'revoked', 'suspended') and, for testing retries, simulateError.
+ */
+const localRegistryAdapter = {
+  id: 'local_registry',
+
+  async verify(certificate) {
+    // Older certificates have no type; it is the number's prefix (WPBR-..., VCA-...)
+    const certificateType = certificate.certificateType || String(certificate.certificateNumber).split('-')[0];
+    const registryId = `${certificateType}_${certificate.certificateNumber}`;
+    const entry = await db.collection('local_certificate_registry').doc(registryId).get();
+
+    if (!entry.exists) {
+      return { outcome: 'not_found', details: { registryId } };
+    }
+
+    const record = entry.data();
+    if (record.simulateError) {
+      throw Object.assign(new Error('Local registry unavailable (simulated)'), { retryable: true });
+    }
+    if (record.status !== 'valid') {
+      return { outcome: 'invalid', details: { registryId, registryStatus: record.status } };
+    }
+
+    const mismatches = [];
+    if (normaliseName(record.holderName) !== normaliseName(certificate.holderName)) {
+      mismatches.push('holderName');
+    }
+    if (record.issuingAuthority && record.issuingAuthority !== certificate.issuingAuthority) {
+      mismatches.push('issuingAuthority');
+    }
+    if (record.expirationDate && !isSameDay(record.expirationDate, certificate.expirationDate)) {
+      mismatches.push('expirationDate');
+    }
+
+    return mismatches.length > 0
+      ? { outcome: 'mismatch', details: { registryId, mismatches } }
+      : { outcome: 'valid', details: { registryId } };
+  }
+};
+
+/**
+ * Register the adapter that verifies certificates of an issuing authority
+ */
+function registerVerifierAdapter(authority, adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || typeof adapter.verify !== 'function') {
+    throw new Error('Verifier adapter needs an id and a verify function');
+  }
+  adapters.set(authority, adapter);
+}
+
+/**
+ * Adapter for an issuing authority, or null for manual review only
+ */
+function getVerifierAdapter(authority) {
+  return adapters.get(authority) || null;
+}
+
+// Known authorities verify against the stand-in registry for now
+[
+  'Politie Nederland',
+  'VCA Nederland',
+  'BHV Nederland',
+  'EHBO Nederland',
+  'SVPB',
+  'Ministerie van Justitie'
+].forEach(authority => registerVerifierAdapter(authority, localRegistryAdapter));
+
+module.exports = {
+  getVerifierAdapter,
+  localRegistryAdapter,
+  normaliseName,
+  registerVerifierAdapter
+};
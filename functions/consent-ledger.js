@@ -0,0 +1,174 @@
+/**
+ * SECURYFLEX TOESTEMMINGSREGISTER
+ * Versioned per-user consent ledger (AVG artikel 6 lid 1 sub a en artikel 7)
+ *
+ * user_consents/{userId} holds the current consent per purpose;
+ * user_consents/{userId}/history is an append-only ledger of every grant
+ * and withdrawal. Each entry references the privacy policy version
+ * (privacy_policies/{policyId}) the user agreed to. When a policy version
+ * with reconsentRequired is published, older consents stop counting until
+ * the user consents again.
+ *
+ * Server-side processing of a user's data for a purpose must check
+ * hasConsent (or getUsersWithConsent for batch jobs) first.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const CONSENT_PURPOSES = ['location_tracking', 'analytics', 'marketing_notifications'];
+const CONSENT_SOURCES = ['app', 'web', 'support'];
+
+// Cache for the minimum policy version consents must reference
+let reconsentCache = null;
+let reconsentCacheTime = 0;
+const RECONSENT_CACHE_TTL = 60000; // 1 minute
+
+/**
+ * Lowest policy version a consent must reference to still count
+ */
+async function getMinimumPolicyVersion() {
+  if (reconsentCache !== null && Date.now() - reconsentCacheTime < RECONSENT_CACHE_TTL) {
+    return reconsentCache;
+  }
+
+  const latest = await db.collection('privacy_policies')
+    .where('reconsentRequired', '==', true)
+    .orderBy('version', 'desc')
+    .limit(1)
+    .get();
+
+  reconsentCache = latest.empty ? 0 : latest.docs[0].data().version;
+  reconsentCacheTime = Date.now();
+  return reconsentCache;
+}
+
+/**
+ * Whether a stored consent entry counts for the given minimum version
+ */
+function isConsentValid(entry, minimumVersion) {
+  return Boolean(entry && entry.granted === true && (entry.policyVersion || 0) >= minimumVersion);
+}
+
+/**
+ * Record a grant or withdrawal of consent for a purpose
+ *
+ * Throws an Error with a code (invalid-argument, not-found) that callers
+ * map to their own error type. Returns the ledger entry.
+ */
+async function recordConsent(userId, { purpose, granted, policyId, source = 'app' }) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+
+  if (!CONSENT_PURPOSES.includes(purpose)) {
+    throw fail('invalid-argument', `purpose must be one of ${CONSENT_PURPOSES.join(', ')}`);
+  }
+  if (typeof granted !== 'boolean') {
+    throw fail('invalid-argument', 'granted must be a boolean');
+  }
+  if (!CONSENT_SOURCES.includes(source)) {
+    throw fail('invalid-argument', `source must be one of ${CONSENT_SOURCES.join(', ')}`);
+  }
+  if (!policyId || typeof policyId !== 'string') {
+    throw fail('invalid-argument', 'Policy ID required');
+  }
+
+  const policyDoc = await db.collection('privacy_policies').doc(policyId).get();
+  if (!policyDoc.exists) {
+    throw fail('not-found', 'Privacy policy version not found');
+  }
+
+  const consentRef = db.collection('user_consents').doc(userId);
+  const recordedAt = new Date();
+
+  return db.runTransaction(async (transaction) => {
+    const current = await transaction.get(consentRef);
+    const previous = current.exists ? (current.data().purposes || {})[purpose] : null;
+    const sequence = current.exists ? (current.data().sequence || 0) + 1 : 1;
+
+    const entry = {
+      purpose,
+      action: granted ? 'granted' : 'withdrawn',
+      granted,
+      policyId,
+      policyVersion: policyDoc.data().version,
+      source,
+      sequence,
+      previousAction: previous ? (previous.granted ? 'granted' : 'withdrawn') : null,
+      recordedAt
+    };
+
+    transaction.set(consentRef.collection('history').doc(String(sequence).padStart(8, '0')), entry);
+    transaction.set(consentRef, {
+      userId,
+      sequence,
+      updatedAt: recordedAt,
+      purposes: {
+        [purpose]: { granted, policyId, policyVersion: entry.policyVersion, source, updatedAt: recordedAt }
+      }
+    }, { merge: true });
+
+    return entry;
+  });
+}
+
+/**
+ * Current consent per purpose, with whether it still counts
+ */
+async function getConsentStatus(userId) {
+  const [consentDoc, minimumVersion] = await Promise.all([
+    db.collection('user_consents').doc(userId).get(),
+    getMinimumPolicyVersion()
+  ]);
+  const purposes = consentDoc.exists ? consentDoc.data().purposes || {} : {};
+
+  const status = {};
+  CONSENT_PURPOSES.forEach(purpose => {
+    const entry = purposes[purpose];
+    status[purpose] = {
+      granted: Boolean(entry && entry.granted),
+      valid: isConsentValid(entry, minimumVersion),
+      policyId: entry ? entry.policyId : null,
+      reconsentRequired: Boolean(entry && entry.granted && !isConsentValid(entry, minimumVersion))
+    };
+  });
+  return status;
+}
+
+/**
+ * Whether a user currently consents to a purpose
+ */
+async function hasConsent(userId, purpose) {
+  const [consentDoc, minimumVersion] = await Promise.all([
+    db.collection('user_consents').doc(userId).get(),
+    getMinimumPolicyVersion()
+  ]);
+  return consentDoc.exists && isConsentValid((consentDoc.data().purposes || {})[purpose], minimumVersion);
+}
+
+/**
+ * Ids of all users who currently consent to a purpose (for batch jobs)
+ */
+async function getUsersWithConsent(purpose) {
+  const [snapshot, minimumVersion] = await Promise.all([
+    db.collection('user_consents').where(`purposes.${purpose}.granted`, '==', true).select('purposes').get(),
+    getMinimumPolicyVersion()
+  ]);
+
+  return new Set(snapshot.docs
+    .filter(doc => isConsentValid(doc.data().purposes[purpose], minimumVersion))
+    .map(doc => doc.id));
+}
+
+module.exports = {
+  CONSENT_PURPOSES,
+  getConsentStatus,
+  getUsersWithConsent,
+  hasConsent,
+  recordConsent
+};
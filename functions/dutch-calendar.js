@@ -0,0 +1,259 @@
+/**
+ * SECURYFLEX NEDERLANDSE WERKKALENDER
+ * Europe/Amsterdam time, Dutch public holidays and time classification
+ *
+ * All calculations use Europe/Amsterdam wall-clock time with correct
+ * DST handling, independent of the server time zone:
+ * - Calendar dates and day boundaries in Amsterdam
+ * - Dutch public holidays (Nieuwjaarsdag, Pasen, Koningsdag, ...)
+ * - Classification of instants as weekday/evening/night/weekend/holiday,
+ *   for security monitoring and shift-rate or surcharge calculations
+ */
+
+const TIME_ZONE = 'Europe/Amsterdam';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time bands in Amsterdam hours: evening 18:00-22:00, night 22:00-06:00
+const EVENING_START_HOUR = 18;
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 6;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const amsterdamFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+const holidayCache = new Map();
+
+/**
+ * Amsterdam wall-clock parts of an instant (month 1-12, weekday 0 = Sunday)
+ */
+function getAmsterdamTime(instant) {
+  const parts = {};
+  for (const { type, value } of amsterdamFormat.formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Instant of an Amsterdam wall-clock time
+ *
+ * Ambiguous autumn times resolve to the first occurrence, times skipped
+ * by the spring DST change are read as winter time.
+ */
+function amsterdamTimeToDate(year, month, day, hour = 0, minute = 0) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Amsterdam is UTC+2 in summer and UTC+1 in winter
+  const candidates = [wallClockAsUtc - 2 * HOUR_MS, wallClockAsUtc - HOUR_MS];
+  const match = candidates.find(candidate => matchesWallClock(candidate, year, month, day, hour, minute));
+
+  return new Date(match ?? wallClockAsUtc - HOUR_MS);
+}
+
+/**
+ * Check whether an instant shows the given Amsterdam wall-clock time
+ */
+function matchesWallClock(instant, year, month, day, hour, minute) {
+  const t = getAmsterdamTime(instant);
+  return t.year === year && t.month === month && t.day === day && t.hour === hour && t.minute === minute;
+}
+
+/**
+ * Amsterdam calendar date of an instant as YYYY-MM-DD
+ */
+function getDateKey(instant) {
+  const { year, month, day } = getAmsterdamTime(instant);
+  return formatDateKey(year, month, day);
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ */
+function formatDateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * All calendar dates from startKey to endKey (YYYY-MM-DD, inclusive)
+ */
+function listDateKeys(startKey, endKey) {
+  const keys = [];
+  const end = Date.parse(`${endKey}T00:00:00Z`);
+
+  for (let day = Date.parse(`${startKey}T00:00:00Z`); day <= end; day += DAY_MS) {
+    keys.push(new Date(day).toISOString().split('T')[0]);
+  }
+  return keys;
+}
+
+/**
+ * Start of the Amsterdam day containing an instant, shifted by whole days
+ */
+function startOfAmsterdamDay(instant, dayOffset = 0) {
+  const { year, month, day } = getAmsterdamTime(instant);
+  // Date.UTC normalises day overflow (e.g. day 0 or 32)
+  const date = new Date(Date.UTC(year, month - 1, day + dayOffset));
+  return amsterdamTimeToDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+/**
+ * Easter Sunday (Gregorian, anonymous algorithm) as { month, day }
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+/**
+ * Dutch public holidays of a year, keyed by YYYY-MM-DD
+ *
+ * general: true for the days of the Algemene termijnenwet; Goede Vrijdag
+ * is listed because many CAOs treat it as a holiday, but is not general.
+ */
+function getDutchHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const easter = getEasterSunday(year);
+  const relativeToEaster = (offset, name, general = true) => {
+    const date = new Date(Date.UTC(year, easter.month - 1, easter.day + offset));
+    return [formatDateKey(year, date.getUTCMonth() + 1, date.getUTCDate()), { name, general }];
+  };
+
+  // Koningsdag moves to 26 April when 27 April is a Sunday
+  const kingsDay = new Date(Date.UTC(year, 3, 27)).getUTCDay() === 0 ? 26 : 27;
+
+  const holidays = new Map([
+    [formatDateKey(year, 1, 1), { name: 'Nieuwjaarsdag', general: true }],
+    relativeToEaster(-2, 'Goede Vrijdag', false),
+    relativeToEaster(0, 'Eerste Paasdag'),
+    relativeToEaster(1, 'Tweede Paasdag'),
+    [formatDateKey(year, 4, kingsDay), { name: 'Koningsdag', general: true }],
+    [formatDateKey(year, 5, 5), { name: 'Bevrijdingsdag', general: true }],
+    relativeToEaster(39, 'Hemelvaartsdag'),
+    relativeToEaster(49, 'Eerste Pinksterdag'),
+    relativeToEaster(50, 'Tweede Pinksterdag'),
+    [formatDateKey(year, 12, 25), { name: 'Eerste Kerstdag', general: true }],
+    [formatDateKey(year, 12, 26), { name: 'Tweede Kerstdag', general: true }]
+  ]);
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Dutch public holiday on the Amsterdam date of an instant, or null
+ */
+function getHoliday(instant, { includeNonGeneral = false } = {}) {
+  const { year } = getAmsterdamTime(instant);
+  const holiday = getDutchHolidays(year).get(getDateKey(instant)) || null;
+
+  if (holiday && !holiday.general && !includeNonGeneral) return null;
+  return holiday;
+}
+
+/**
+ * Classify an instant as holiday, weekend, night, evening or weekday
+ *
+ * Holidays take precedence over weekends, weekends over time of day.
+ */
+function classifyInstant(instant) {
+  const { hour, weekday } = getAmsterdamTime(instant);
+
+  if (getHoliday(instant)) return 'holiday';
+  if (weekday === 0 || weekday === 6) return 'weekend';
+  if (hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR) return 'night';
+  if (hour >= EVENING_START_HOUR) return 'evening';
+  return 'weekday';
+}
+
+/**
+ * Describe an instant in Amsterdam time with its classification
+ */
+function describeInstant(instant) {
+  return {
+    ...getAmsterdamTime(instant),
+    date: getDateKey(instant),
+    category: classifyInstant(instant),
+    holiday: getHoliday(instant, { includeNonGeneral: true })
+  };
+}
+
+/**
+ * Minutes per category between two instants (e.g. for shift surcharges)
+ *
+ * Categories only change on whole Amsterdam hours, which are whole UTC
+ * hours as well, so the interval is walked hour by hour.
+ */
+function splitByCategory(start, end) {
+  const endMs = new Date(end).getTime();
+  const minutes = { weekday: 0, evening: 0, night: 0, weekend: 0, holiday: 0 };
+
+  let cursor = new Date(start).getTime();
+  while (cursor < endMs) {
+    const nextHour = Math.min((Math.floor(cursor / HOUR_MS) + 1) * HOUR_MS, endMs);
+    minutes[classifyInstant(cursor)] += (nextHour - cursor) / 60000;
+    cursor = nextHour;
+  }
+
+  return minutes;
+}
+
+/**
+ * Check if an instant is outside Nederlandse business hours
+ * (06:00-22:00 on working days that are not public holidays)
+ */
+function isOutsideBusinessHours(instant) {
+  return ['night', 'weekend', 'holiday'].includes(classifyInstant(instant));
+}
+
+module.exports = {
+  DAY_MS,
+  TIME_ZONE,
+  amsterdamTimeToDate,
+  classifyInstant,
+  describeInstant,
+  getAmsterdamTime,
+  getDateKey,
+  getDutchHolidays,
+  getEasterSunday,
+  getHoliday,
+  isOutsideBusinessHours,
+  listDateKeys,
+  splitByCategory,
+  startOfAmsterdamDay
+};
@@ -0,0 +1,23 @@
+/**
+ * SECURYFLEX ESCALATION THRESHOLDS
+ * Staged reminders and escalations counting down to a date
+ *
+ * Used for AVG request deadlines (gdpr-deadlines.js) and certificate
+ * expiry reminders (certificate-expiry.js).
+ */
+
+/**
+ * Escalation threshold reached by an item that was not escalated yet
+ *
+ * Returns the lowest threshold covering daysLeft, or null; lower
+ * thresholds are more urgent, so a late first run skips earlier ones.
+ */
+function pickEscalationThreshold(thresholds, daysLeft, escalated = []) {
+  const reached = thresholds.filter(days => daysLeft <= days).sort((a, b) => a - b);
+  const threshold = reached[0];
+  return threshold !== undefined && !escalated.includes(threshold) ? threshold : null;
+}
+
+module.exports = {
+  pickEscalationThreshold
+};
@@ -0,0 +1,49 @@
+/**
+ * SECURYFLEX EXPORT FORMATTING
+ * JSON and CSV rendering shared by the audit log and GDPR exports
+ */
+
+/**
+ * Convert a value to plain JSON (timestamps as ISO strings)
+ */
+function toPlainValue(value) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) result[key] = toPlainValue(nested);
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Escape a CSV cell, neutralising spreadsheet formulas
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render plain rows as CSV (RFC 4180, CRLF line endings)
+ *
+ * Without explicit columns, all top-level fields of all rows are used.
+ */
+function formatCsv(rows, columns = null) {
+  const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = rows.map(row => header.map(column => toCsvCell(row[column])).join(','));
+  return [header.map(toCsvCell).join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  formatCsv,
+  toCsvCell,
+  toPlainValue
+};
@@ -0,0 +1,271 @@
+/**
+ * SECURYFLEX AVG TERMIJNBEWAKING
+ * Deadline tracking for gdpr_requests (AVG artikel 12 lid 3)
+ *
+ * Requests must be answered within one month of receipt (gdprComplianceMonitor
+ * sets the deadline with getResponseDeadline). This module:
+ * - Escalates open requests to admins at configurable thresholds before the
+ *   deadline (compliance_config/gdpr_deadlines, default 7, 3 and 1 days)
+ * - Marks requests overdue once the deadline has passed
+ * - Records the permitted extension by two months, with justification and
+ *   a notice to the data subject
+ * - Summarises requests per type for the privacy officer
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { DAY_MS, getAmsterdamTime, startOfAmsterdamDay } = require('./dutch-calendar');
+const { pickEscalationThreshold } = require('./escalation');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const DEFAULT_ESCALATION_DAYS = [7, 3, 1];
+const OPEN_STATUSES = ['pending', 'processing'];
+const RESPONSE_MONTHS = 1;
+const EXTENSION_MONTHS = 2;
+const MIN_JUSTIFICATION_LENGTH = 20;
+
+/**
+ * Whole days until a deadline (negative once passed)
+ */
+function getDaysUntil(deadline, now) {
+  return Math.ceil((deadline.getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * Add calendar months, clamping to the last day of the month
+ */
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Deadline of a request received at an instant: the end of the Amsterdam
+ * day one calendar month later
+ */
+function getResponseDeadline(receivedAt) {
+  const { year, month, day } = getAmsterdamTime(receivedAt);
+  const dueDate = addMonths(new Date(Date.UTC(year, month - 1, day)), RESPONSE_MONTHS);
+  return startOfAmsterdamDay(dueDate, 1);
+}
+
+/**
+ * Load the escalation thresholds (days before the deadline)
+ */
+async function loadEscalationThresholds() {
+  const configDoc = await db.collection('compliance_config').doc('gdpr_deadlines').get();
+  const configured = configDoc.exists ? configDoc.data().escalationDaysBefore : null;
+
+  if (Array.isArray(configured) && configured.length > 0 &&
+      configured.every(days => Number.isInteger(days) && days > 0)) {
+    return configured;
+  }
+  return DEFAULT_ESCALATION_DAYS;
+}
+
+/**
+ * Ids of all admin users
+ */
+async function getAdminIds() {
+  const admins = await db.collection('users').where('userType', '==', 'admin').get();
+  return admins.docs.map(doc => doc.id);
+}
+
+/**
+ * Record an escalation and notify all admins
+ */
+async function escalate(requestDoc, level, daysLeft, adminIds) {
+  const request = requestDoc.data();
+  const now = new Date();
+
+  await db.collection('compliance_escalations').add({
+    type: 'gdpr_deadline',
+    requestId: requestDoc.id,
+    requestType: request.requestType,
+    deadline: request.deadline,
+    daysLeft,
+    level,
+    acknowledged: false,
+    createdAt: now
+  });
+
+  const title = level === 'overdue'
+    ? 'AVG-verzoek over de termijn'
+    : `AVG-verzoek verloopt over ${daysLeft} dag(en)`;
+
+  const batch = db.batch();
+  adminIds.forEach(adminId => {
+    batch.set(db.collection('notifications').doc(), {
+      userId: adminId,
+      type: 'gdpr_deadline_escalation',
+      title,
+      body: `Verzoek ${requestDoc.id} (${request.requestType}) heeft als termijn ` +
+        `${request.deadline.toDate().toISOString().split('T')[0]}.`,
+      requestId: requestDoc.id,
+      level,
+      read: false,
+      createdAt: now
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Escalate open requests nearing their deadline and mark overdue ones
+ */
+async function runDeadlineEscalation(now = new Date()) {
+  const [thresholds, adminIds, open] = await Promise.all([
+    loadEscalationThresholds(),
+    getAdminIds(),
+    db.collection('gdpr_requests').where('status', 'in', OPEN_STATUSES).get()
+  ]);
+
+  const result = { checked: open.size, escalated: 0, overdue: 0 };
+
+  for (const doc of open.docs) {
+    const request = doc.data();
+    if (!request.deadline) continue;
+
+    const daysLeft = getDaysUntil(request.deadline.toDate(), now);
+
+    if (request.deadline.toDate() <= now) {
+      if (request.overdue) continue;
+
+      await doc.ref.update({ overdue: true, overdueAt: now });
+      await escalate(doc, 'overdue', daysLeft, adminIds);
+      result.overdue++;
+      continue;
+    }
+
+    const threshold = pickEscalationThreshold(thresholds, daysLeft, request.escalatedThresholds || []);
+    if (threshold === null) continue;
+
+    await doc.ref.update({
+      escalatedThresholds: FieldValue.arrayUnion(threshold),
+      lastEscalatedAt: now
+    });
+    await escalate(doc, `${threshold}_days`, daysLeft, adminIds);
+    result.escalated++;
+  }
+
+  return result;
+}
+
+/**
+ * Extend a request's deadline by two months (once, before it expires)
+ *
+ * Throws an Error with a code (not-found, failed-precondition,
+ * invalid-argument) that callers map to their own error type.
+ */
+async function extendDeadline(requestId, adminId, justification, now = new Date()) {
+  if (typeof justification !== 'string' || justification.trim().length < MIN_JUSTIFICATION_LENGTH) {
+    throw Object.assign(
+      new Error(`Justification of at least ${MIN_JUSTIFICATION_LENGTH} characters required`),
+      { code: 'invalid-argument' }
+    );
+  }
+
+  const requestRef = db.collection('gdpr_requests').doc(requestId);
+
+  const extension = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(requestRef);
+    const fail = (code, message) => Object.assign(new Error(message), { code });
+
+    if (!doc.exists) throw fail('not-found', 'GDPR request not found');
+
+    const request = doc.data();
+    if (!OPEN_STATUSES.includes(request.status)) throw fail('failed-precondition', 'Request is not open');
+    if (request.extension) throw fail('failed-precondition', 'Deadline was already extended');
+    if (!request.deadline) throw fail('failed-precondition', 'Request has no deadline');
+    // The data subject must be informed within the original term
+    if (request.deadline.toDate() <= now) throw fail('failed-precondition', 'Original deadline has passed');
+
+    const originalDeadline = request.deadline.toDate();
+    const details = {
+      originalDeadline,
+      newDeadline: addMonths(originalDeadline, EXTENSION_MONTHS),
+      justification: justification.trim(),
+      extendedBy: adminId,
+      extendedAt: now
+    };
+
+    transaction.update(requestRef, {
+      deadline: details.newDeadline,
+      extension: { ...details, noticeSentAt: now },
+      escalatedThresholds: []
+    });
+
+    // Notice to the data subject, with the reasons for the delay
+    transaction.set(db.collection('notifications').doc(), {
+      userId: request.userId,
+      type: 'gdpr_deadline_extended',
+      title: 'Termijn van uw AVG-verzoek verlengd',
+      body: `De behandeling van uw verzoek is verlengd tot ` +
+        `${details.newDeadline.toISOString().split('T')[0]}. Reden: ${details.justification}`,
+      requestId,
+      read: false,
+      createdAt: now
+    });
+
+    return details;
+  });
+
+  return extension;
+}
+
+/**
+ * Summary of requests per type: open, overdue, extended and completed
+ */
+async function summariseRequests(now = new Date()) {
+  const snapshot = await db.collection('gdpr_requests')
+    .select('requestType', 'status', 'deadline', 'overdue', 'extension', 'completedAt')
+    .get();
+
+  const byType = {};
+  const overdueRequests = [];
+
+  snapshot.docs.forEach(doc => {
+    const { requestType = 'unknown', status, deadline, overdue, extension, completedAt } = doc.data();
+    const counts = byType[requestType] = byType[requestType] ||
+      { total: 0, open: 0, overdue: 0, extended: 0, completed: 0, completedLate: 0, rejected: 0 };
+
+    counts.total++;
+    if (extension) counts.extended++;
+
+    if (OPEN_STATUSES.includes(status)) {
+      counts.open++;
+      if (overdue || (deadline && deadline.toDate() <= now)) {
+        counts.overdue++;
+        overdueRequests.push({ requestId: doc.id, requestType, deadline: deadline.toDate().toISOString() });
+      }
+    } else if (status === 'completed') {
+      counts.completed++;
+      if (overdue || (deadline && completedAt && completedAt.toDate() > deadline.toDate())) counts.completedLate++;
+    } else if (status === 'rejected') {
+      counts.rejected++;
+    }
+  });
+
+  overdueRequests.sort((a, b) => a.deadline.localeCompare(b.deadline));
+  return { generatedAt: now.toISOString(), byType, overdueRequests };
+}
+
+module.exports = {
+  addMonths,
+  extendDeadline,
+  getDaysUntil,
+  getResponseDeadline,
+  runDeadlineEscalation,
+  summariseRequests
+};
@@ -0,0 +1,341 @@
+/**
+ * SECURYFLEX AVG RECHT OP VERGETELHEID
+ * Erasure pipeline for gdpr_requests of type delete (AVG artikel 17)
+ *
+ * - Personal data without a retention duty is deleted (profile, applications,
+ *   locations, notifications, activity profiles, consents and Storage uploads)
+ * - Chat messages are pseudonymised so conversations stay intact for the
+ *   other participants
+ * - Records under legal retention (fiscal: invoices; employment: shifts,
+ *   time entries; WPBR: certificates) are kept but pseudonymised
+ * - The Auth account is disabled and its sessions revoked
+ * - A signed erasure certificate lists every step and is stored with the
+ *   request
+ *
+ * Users are replaced by a stable pseudonym (HMAC of the user id), so
+ * retained records of the same person stay linked without identifying them.
+ */
+
+const crypto = require('crypto');
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { canonicalize } = require('./audit-log');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+const storage = getStorage();
+
+const NOT_FOUND = 5; // gRPC status code of an update on a missing document
+
+const ERASED_NAME = 'Verwijderde gebruiker';
+const ERASED_CONTENT = '[verwijderd op verzoek van de gebruiker]';
+
+// Documents keyed by the user id that are deleted outright
+const DELETE_DOCUMENTS = ['guard_profiles', 'guard_locations', 'activity_baselines', 'rate_limits'];
+
+// Collections queried by user field whose documents are deleted outright
+const DELETE_QUERIES = [
+  { collection: 'applications', field: 'guardId' },
+  { collection: 'guard_locations', field: 'guardId' },
+  { collection: 'notifications', field: 'userId' }
+];
+
+// Collections under legal retention: kept, but pseudonymised
+const RETENTION_QUERIES = [
+  { collection: 'invoices', field: 'guardId', basis: 'fiscal (AWR art. 52, 7 jaar)' },
+  { collection: 'invoices', field: 'guard_id', basis: 'fiscal (AWR art. 52, 7 jaar)' },
+  { collection: 'time_entries', field: 'guardId', basis: 'employment (urenregistratie)' },
+  { collection: 'time_entries', field: 'guard_id', basis: 'employment (urenregistratie)' },
+  { collection: 'shifts', field: 'assignedGuardId', basis: 'employment (inzetregistratie)' },
+  { collection: 'certificates', field: 'userId', basis: 'WPBR (certificaatregistratie)' },
+  { collection: 'certificate_verifications', field: 'userId', basis: 'WPBR (certificaatregistratie)' },
+  { collection: 'certificate_audit', field: 'userId', basis: 'WPBR (certificaatregistratie)' },
+  { collection: 'bsn_verifications', field: 'userId', basis: 'UAVG art. 46 (BSN-toegangslog)' }
+];
+
+// Storage prefixes (per user) that are deleted; certificate documents are retained
+const DELETE_STORAGE_PREFIXES = ['chat_uploads', 'profile_pictures', 'temp_certificate_uploads'];
+const RETAINED_STORAGE_PREFIXES = ['certificate_documents'];
+
+// Identifying fields of the user on retained records (company details stay)
+const PERSONAL_FIELD_PATTERN = new RegExp(
+  '^(guard|holder|user|employee|beveiliger|sender)_?' +
+  '(name|full_?name|first_?name|last_?name|email|phone|phone_?number|address|avatar_?url|photo_?url)$', 'i'
+);
+const BSN_FIELD_PATTERN = /bsn/i;
+
+/**
+ * Stable pseudonym of a user
+ */
+function getPseudonymId(userId, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`pseudonym:${userId}`).digest('hex');
+  return `anon_${digest.slice(0, 20)}`;
+}
+
+/**
+ * Pseudonymised copy of a retained record
+ *
+ * References to the user become the pseudonym, the user's identifying
+ * fields are blanked and BSN fields are dropped. Other parties' details
+ * (e.g. the company on an invoice) are part of the record and kept.
+ */
+function pseudonymiseRecord(data, userId, pseudonymId) {
+  const walk = (value, field) => {
+    if (value === userId) return pseudonymId;
+    if (typeof value === 'string' && field && PERSONAL_FIELD_PATTERN.test(field)) return ERASED_NAME;
+    if (Array.isArray(value)) return value.map(item => walk(item, field));
+
+    const prototype = value && typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+    if (prototype === Object.prototype || prototype === null) {
+      const result = {};
+      for (const [key, nested] of Object.entries(value)) {
+        if (BSN_FIELD_PATTERN.test(key)) continue;
+        result[key === userId ? pseudonymId : key] = walk(nested, key);
+      }
+      return result;
+    }
+    return value;
+  };
+
+  return walk(data, null);
+}
+
+/**
+ * Pseudonymise the user's chat messages and conversation memberships
+ */
+async function pseudonymiseConversations(userId, pseudonymId, writer) {
+  const messages = await db.collectionGroup('messages').where('senderId', '==', userId).get();
+  messages.docs.forEach(doc => writer.update(doc.ref, {
+    senderId: pseudonymId,
+    senderName: ERASED_NAME,
+    content: ERASED_CONTENT,
+    attachment: FieldValue.delete(),
+    erasedAt: new Date()
+  }));
+
+  // participants is a map keyed by user id (or a list of user ids)
+  const [asMap, asList] = await Promise.all([
+    db.collection('conversations').where(`participants.${userId}.userId`, '==', userId).get(),
+    db.collection('conversations').where('participants', 'array-contains', userId).get()
+  ]);
+
+  asMap.docs.forEach(doc => {
+    const participant = doc.data().participants[userId];
+    writer.update(doc.ref, {
+      [`participants.${userId}`]: FieldValue.delete(),
+      [`participants.${pseudonymId}`]: {
+        userId: pseudonymId,
+        userName: ERASED_NAME,
+        userRole: participant.userRole || null,
+        joinedAt: participant.joinedAt || null,
+        isActive: false
+      },
+      [`unreadCounts.${userId}`]: FieldValue.delete(),
+      [`typingStatus.${userId}`]: FieldValue.delete(),
+      ...lastMessageUpdate(doc.data(), userId, pseudonymId)
+    });
+  });
+
+  asList.docs.forEach(doc => {
+    writer.update(doc.ref, {
+      participants: doc.data().participants.map(id => id === userId ? pseudonymId : id),
+      ...lastMessageUpdate(doc.data(), userId, pseudonymId)
+    });
+  });
+
+  return { messages: messages.size, conversations: asMap.size + asList.size };
+}
+
+/**
+ * Update pseudonymising a conversation's last message if the user sent it
+ */
+function lastMessageUpdate(conversation, userId, pseudonymId) {
+  if (conversation.lastMessage?.senderId !== userId) return {};
+
+  return {
+    'lastMessage.senderId': pseudonymId,
+    'lastMessage.senderName': ERASED_NAME,
+    'lastMessage.content': ERASED_CONTENT
+  };
+}
+
+/**
+ * Delete the user's Storage uploads, returning the number of files
+ */
+async function deleteStorageUploads(userId) {
+  const bucket = storage.bucket();
+  let files = 0;
+
+  for (const prefix of DELETE_STORAGE_PREFIXES) {
+    const [matches] = await bucket.getFiles({ prefix: `${prefix}/${userId}/` });
+    await Promise.all(matches.map(file => file.delete({ ignoreNotFound: true })));
+    files += matches.length;
+  }
+
+  return files;
+}
+
+/**
+ * Disable the Auth account and revoke its sessions
+ */
+async function disableAuthAccount(userId) {
+  try {
+    await getAuth().updateUser(userId, { disabled: true, displayName: null, photoURL: null });
+    await getAuth().revokeRefreshTokens(userId);
+    return 'disabled';
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return 'not_found';
+    throw error;
+  }
+}
+
+/**
+ * Sign an erasure certificate (HMAC-SHA256 over its canonical form)
+ */
+function signErasureCertificate(certificate, secret) {
+  return crypto.createHmac('sha256', secret).update(canonicalize(certificate)).digest('hex');
+}
+
+/**
+ * Check the signature of a stored erasure certificate
+ */
+function verifyErasureCertificate(stored, secret) {
+  const { signature, ...certificate } = stored;
+  const expected = signErasureCertificate(certificate, secret);
+  return typeof signature === 'string' && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * BulkWriter whose close() throws when any write failed, so no
+ * certificate is issued for a partial erasure
+ */
+function createErasureWriter() {
+  const writer = db.bulkWriter();
+  const results = [];
+  const track = write => {
+    results.push(write.then(() => null, error => error));
+  };
+
+  return {
+    delete: ref => track(writer.delete(ref)),
+    set: (ref, data) => track(writer.set(ref, data)),
+    update: (ref, data) => track(writer.update(ref, data)),
+    async close() {
+      await writer.close();
+      // A record deleted in the meantime has nothing left to erase
+      const failures = (await Promise.all(results))
+        .filter(error => error && error.code !== NOT_FOUND);
+
+      if (failures.length > 0) {
+        const paths = failures.slice(0, 5).map(error => error.documentRef.path);
+        throw Object.assign(
+          new Error(`Erasure failed for ${failures.length} document(s), e.g. ${paths.join(', ')}`),
+          { code: 'aborted' }
+        );
+      }
+    }
+  };
+}
+
+/**
+ * Erase a user's personal data for a gdpr_requests delete request
+ *
+ * Throws when any document could not be erased; safe to run again.
+ * Returns the signed erasure certificate.
+ */
+async function eraseUserData(userId, requestId, secret) {
+  const pseudonymId = getPseudonymId(userId, secret);
+  const startedAt = new Date();
+  const deleted = {};
+  const pseudonymised = {};
+  const writer = createErasureWriter();
+
+  // Deleted outright
+  for (const collection of DELETE_DOCUMENTS) {
+    writer.delete(db.collection(collection).doc(userId));
+    deleted[`${collection}/{userId}`] = 1;
+  }
+  for (const { collection, field } of DELETE_QUERIES) {
+    const snapshot = await db.collection(collection).where(field, '==', userId).get();
+    // Documents keyed by the user id are already deleted above
+    const docs = snapshot.docs.filter(doc => !(DELETE_DOCUMENTS.includes(collection) && doc.id === userId));
+    docs.forEach(doc => writer.delete(doc.ref));
+    deleted[collection] = docs.length;
+  }
+
+  // Kept under legal retention, pseudonymised (a record may match several fields)
+  const retainedDocs = new Map();
+  const retained = [];
+  for (const { collection, field, basis } of RETENTION_QUERIES) {
+    const snapshot = await db.collection(collection).where(field, '==', userId).get();
+    snapshot.docs.forEach(doc => retainedDocs.set(doc.ref.path, { collection, doc }));
+    if (snapshot.size > 0) retained.push({ collection, field, count: snapshot.size, basis });
+  }
+
+  retainedDocs.forEach(({ collection, doc }) => {
+    writer.set(doc.ref, {
+      ...pseudonymiseRecord(doc.data(), userId, pseudonymId),
+      pseudonymisedAt: new Date(),
+      erasureRequestId: requestId
+    });
+    pseudonymised[collection] = (pseudonymised[collection] || 0) + 1;
+  });
+
+  const chat = await pseudonymiseConversations(userId, pseudonymId, writer);
+  pseudonymised.messages = chat.messages;
+  pseudonymised.conversations = chat.conversations;
+
+  // The users document becomes a tombstone so references keep resolving
+  const userDoc = await db.collection('users').doc(userId).get();
+  writer.set(db.collection('users').doc(userId), {
+    erased: true,
+    erasedAt: new Date(),
+    pseudonymId,
+    userType: userDoc.exists ? userDoc.data().userType || null : null
+  });
+  pseudonymised.users = 1;
+
+  await writer.close();
+
+  // Activity counters and consent records have subcollections
+  await db.recursiveDelete(db.collection('activity_counters').doc(userId));
+  await db.recursiveDelete(db.collection('user_consents').doc(userId));
+  deleted['user_consents/{userId}'] = 1;
+
+  const storageFiles = await deleteStorageUploads(userId);
+  const authAccount = await disableAuthAccount(userId);
+
+  const certificate = {
+    certificateId: crypto.randomUUID(),
+    requestId,
+    pseudonymId,
+    legalBasis: 'AVG artikel 17',
+    startedAt: startedAt.toISOString(),
+    completedAt: new Date().toISOString(),
+    deleted,
+    pseudonymised,
+    retained,
+    storage: {
+      deletedFiles: storageFiles,
+      deletedPrefixes: DELETE_STORAGE_PREFIXES.map(prefix => `${prefix}/{userId}/`),
+      retainedPrefixes: RETAINED_STORAGE_PREFIXES.map(prefix => `${prefix}/{userId}/`)
+    },
+    authAccount,
+    signatureAlgorithm: 'HMAC-SHA256'
+  };
+
+  return { ...certificate, signature: signErasureCertificate(certificate, secret) };
+}
+
+module.exports = {
+  eraseUserData,
+  getPseudonymId,
+  pseudonymiseRecord,
+  verifyErasureCertificate
+};
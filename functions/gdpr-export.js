@@ -0,0 +1,442 @@
+/**
+ * SECURYFLEX AVG RECHT OP INZAGE EN DATAPORTABILITEIT
+ * Asynchronous GDPR export packages (AVG artikel 15 en 20)
+ *
+ * An export request collects the user's data per section, writes a ZIP
+ * with a JSON and a CSV file per section plus a README to Cloud Storage
+ * (gdpr_exports/{userId}/{requestId}.zip) and tracks progress on the
+ * gdpr_requests document. The user gets a signed download link that
+ * expires with the package; expired packages are deleted.
+ *
+ * Portability requests (AVG artikel 20) get a single JSON document with
+ * a versioned schema instead, limited to the data the user provided,
+ * so another platform can import it.
+ *
+ * The data subject's own data is exported as stored. BSNs are masked,
+ * except in the separate bsn section that is added (from bsnRecords) once
+ * the request passed step-up verification, and nested entries about
+ * other people (other conversation participants, their last message) are
+ * masked.
+ */
+
+const crypto = require('crypto');
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { MASKS, redactValue } = require('./pii-redaction');
+const { formatCsv, toPlainValue } = require('./export-format');
+const { createZipArchive } = require('./zip-archive');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+const storage = getStorage();
+
+// Packages stay available for 7 days (also the V4 signed URL maximum)
+const EXPORT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Sources are read in pages so large ones (audit_trail) are complete
+const EXPORT_PAGE_SIZE = 500;
+
+const BSN_FIELD_PATTERN = /bsn/i;
+// Nested entries with one of these fields set to someone else describe another person
+const PERSON_ID_FIELDS = ['userId', 'senderId'];
+const OTHER_PERSON_NAME = 'Andere deelnemer';
+
+/**
+ * Export sections with the data type that selects them and their sources:
+ * { doc } reads collection/{userId}, { collection, field } queries by
+ * field, { group, field } queries a collection group and { path } reads
+ * a whole (sub)collection.
+ */
+const EXPORT_SECTIONS = [
+  {
+    name: 'profile',
+    dataType: 'profile_data',
+    title: 'Profiel en beveiligersprofiel',
+    sources: [{ doc: 'users' }, { doc: 'guard_profiles' }]
+  },
+  {
+    name: 'certificates',
+    dataType: 'certificate_data',
+    title: 'Certificaten (BSN is nooit leesbaar opgenomen)',
+    sources: [{ collection: 'certificates', field: 'userId' }]
+  },
+  {
+    name: 'applications',
+    dataType: 'application_data',
+    title: 'Sollicitaties',
+    sources: [{ collection: 'applications', field: 'guardId' }]
+  },
+  {
+    name: 'conversations',
+    dataType: 'message_data',
+    title: 'Gesprekken waaraan u deelneemt',
+    sources: [
+      { collection: 'conversations', field: 'participants.{userId}.userId' },
+      { collection: 'conversations', field: 'participants', operator: 'array-contains' }
+    ]
+  },
+  {
+    name: 'messages',
+    dataType: 'message_data',
+    title: 'Door u verzonden berichten',
+    sources: [{ group: 'messages', field: 'senderId' }]
+  },
+  {
+    name: 'shifts',
+    dataType: 'shift_data',
+    title: 'Diensten',
+    sources: [
+      { collection: 'shifts', field: 'assignedGuardId' },
+      { collection: 'shifts', field: 'guardId' }
+    ]
+  },
+  {
+    name: 'time_entries',
+    dataType: 'shift_data',
+    title: 'Urenregistratie',
+    sources: [
+      { collection: 'time_entries', field: 'guardId' },
+      { collection: 'time_entries', field: 'guard_id' }
+    ]
+  },
+  {
+    name: 'invoices',
+    dataType: 'financial_data',
+    title: 'Facturen',
+    sources: [
+      { collection: 'invoices', field: 'guardId' },
+      { collection: 'invoices', field: 'companyId' }
+    ]
+  },
+  {
+    name: 'payments',
+    dataType: 'financial_data',
+    title: 'Betalingen',
+    sources: [
+      { collection: 'payments', field: 'guardId' },
+      { collection: 'payments', field: 'companyId' }
+    ]
+  },
+  {
+    name: 'reviews',
+    dataType: 'review_data',
+    title: 'Beoordelingen door en over u',
+    sources: [
+      { collection: 'job_reviews', field: 'reviewerId' },
+      { collection: 'job_reviews', field: 'guardId' },
+      { collection: 'job_reviews', field: 'companyId' }
+    ]
+  },
+  {
+    name: 'notifications',
+    dataType: 'notification_data',
+    title: 'Meldingen',
+    sources: [{ collection: 'notifications', field: 'userId' }]
+  },
+  {
+    name: 'location_history',
+    dataType: 'location_data',
+    title: 'Locatiegegevens',
+    sources: [{ doc: 'guard_locations' }, { collection: 'guard_locations', field: 'guardId' }]
+  },
+  {
+    name: 'consents',
+    dataType: 'consent_data',
+    title: 'Gegeven en ingetrokken toestemmingen',
+    sources: [{ doc: 'user_consents' }, { path: 'user_consents/{userId}/history' }]
+  },
+  {
+    name: 'audit_trail',
+    dataType: 'audit_data',
+    title: 'Beveiligingslogboek van uw account',
+    sources: [{ collection: 'security_audit', field: 'userId' }]
+  }
+];
+
+// Section holding the decrypted BSNs of a step-up verified request
+const BSN_SECTION = { name: 'bsn', title: 'Burgerservicenummer (na extra identiteitsverificatie)' };
+
+// Sections in a portability export: data provided by or generated for the user
+const PORTABILITY_SECTIONS = ['profile', 'certificates', 'applications', 'shifts', 'time_entries'];
+const PORTABILITY_FORMAT = 'securyflex-data-portability';
+const PORTABILITY_VERSION = 1;
+
+/**
+ * Sections selected by a request's data types ('all_data' or none: all)
+ */
+function selectExportSections(dataTypes) {
+  if (!Array.isArray(dataTypes) || dataTypes.length === 0 || dataTypes.includes('all_data')) {
+    return EXPORT_SECTIONS;
+  }
+  return EXPORT_SECTIONS.filter(section => dataTypes.includes(section.dataType));
+}
+
+/**
+ * Whether a nested entry describes someone other than the data subject
+ */
+function isOtherPerson(entry, userId) {
+  return PERSON_ID_FIELDS.some(field => typeof entry[field] === 'string' && entry[field] !== userId);
+}
+
+/**
+ * Copy of a record for the data subject: BSN fields masked, nested
+ * entries about other people masked (names replaced, personal data
+ * redacted), everything else as stored
+ */
+function prepareRecord(value, userId, field = null, nested = false) {
+  if (value === null || value === undefined) return value;
+  if (BSN_FIELD_PATTERN.test(field || '') && (typeof value === 'string' || typeof value === 'number')) {
+    return MASKS.bsn;
+  }
+  if (Array.isArray(value)) return value.map(item => prepareRecord(item, userId, field, true));
+
+  const prototype = typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+  if (prototype !== Object.prototype && prototype !== null) return value;
+
+  if (nested && isOtherPerson(value, userId)) {
+    const masked = redactValue(value);
+    Object.keys(masked)
+      .filter(key => /name$/i.test(key) && typeof masked[key] === 'string')
+      .forEach(key => { masked[key] = OTHER_PERSON_NAME; });
+    return masked;
+  }
+
+  const result = {};
+  for (const [key, nestedValue] of Object.entries(value)) {
+    result[key] = prepareRecord(nestedValue, userId, key, true);
+  }
+  return result;
+}
+
+/**
+ * All documents of a query, read in pages
+ */
+async function readAllPages(query) {
+  const docs = [];
+  let page;
+
+  do {
+    let pageQuery = query.orderBy('__name__').limit(EXPORT_PAGE_SIZE);
+    if (docs.length > 0) pageQuery = pageQuery.startAfter(docs[docs.length - 1]);
+    page = await pageQuery.get();
+    docs.push(...page.docs);
+  } while (page.size === EXPORT_PAGE_SIZE);
+
+  return docs;
+}
+
+/**
+ * Read all records of a section, deduplicated by document path
+ */
+async function collectSection(section, userId) {
+  const records = new Map();
+
+  for (const source of section.sources) {
+    if (source.doc) {
+      const doc = await db.collection(source.doc).doc(userId).get();
+      if (doc.exists) records.set(doc.ref.path, doc);
+      continue;
+    }
+
+    if (source.path) {
+      const docs = await readAllPages(db.collection(source.path.replace('{userId}', userId)));
+      docs.forEach(doc => records.set(doc.ref.path, doc));
+      continue;
+    }
+
+    const field = source.field.replace('{userId}', userId);
+    const base = source.group ? db.collectionGroup(source.group) : db.collection(source.collection);
+    const docs = await readAllPages(base.where(field, source.operator || '==', userId));
+    docs.forEach(doc => records.set(doc.ref.path, doc));
+  }
+
+  return [...records.values()].map(doc => toPlainValue(prepareRecord({
+    _path: doc.ref.path,
+    ...doc.data()
+  }, userId)));
+}
+
+/**
+ * README describing the package (Dutch, for the data subject)
+ */
+function buildReadme(request, sections, counts, createdAt, includesBsn) {
+  const lines = [
+    'SECURYFLEX - EXPORT VAN UW PERSOONSGEGEVENS',
+    '==========================================',
+    '',
+    `Verzoek: ${request.requestId}`,
+    `Aangemaakt: ${createdAt.toISOString()}`,
+    `Grondslag: AVG artikel 15 (inzage) en artikel 20 (dataportabiliteit)`,
+    '',
+    'Elk onderdeel staat in een JSON-bestand (volledige gegevens) en een',
+    'CSV-bestand (een regel per record, geneste velden als JSON).',
+    'Tijdstippen zijn in UTC (ISO 8601). Uw BSN is gemaskeerd; gegevens van',
+    'andere personen (zoals andere deelnemers aan gesprekken) zijn afgeschermd.',
+    ...(includesBsn
+      ? ['Uw BSN staat alleen leesbaar in bsn.json, omdat u uw identiteit extra', 'heeft bevestigd. Bewaar dit bestand zorgvuldig.']
+      : []),
+    '',
+    'Onderdelen:'
+  ];
+
+  sections.forEach(section => {
+    lines.push(`- ${section.name}.json / ${section.name}.csv: ${section.title} (${counts[section.name]} records)`);
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Collect the records of all sections, reporting progress per section
+ */
+async function collectSections(sections, userId, onProgress) {
+  const records = {};
+
+  for (const [index, section] of sections.entries()) {
+    await onProgress({ completedSections: index, totalSections: sections.length, currentSection: section.name });
+    records[section.name] = await collectSection(section, userId);
+  }
+
+  return records;
+}
+
+/**
+ * Upload an export file and describe it
+ */
+async function saveExport(path, content, contentType, metadata, counts, createdAt) {
+  await storage.bucket().file(path).save(content, {
+    resumable: false,
+    contentType,
+    metadata: { metadata }
+  });
+
+  return {
+    path,
+    size: content.length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    counts,
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + EXPORT_RETENTION_MS)
+  };
+}
+
+/**
+ * Build the export package of a request and upload it to Storage
+ *
+ * onProgress({ completedSections, totalSections, currentSection }) is
+ * called after every section.
+ */
+async function buildGDPRExport(userId, requestId, dataTypes, onProgress = async () => {}, { bsnRecords = null } = {}) {
+  const sections = [...selectExportSections(dataTypes)];
+  const records = await collectSections(sections, userId, onProgress);
+
+  if (bsnRecords) {
+    sections.push(BSN_SECTION);
+    records.bsn = bsnRecords;
+  }
+
+  const files = [];
+  const counts = {};
+
+  sections.forEach(section => {
+    counts[section.name] = records[section.name].length;
+    files.push(
+      { name: `${section.name}.json`, content: JSON.stringify(records[section.name], null, 2) },
+      { name: `${section.name}.csv`, content: formatCsv(records[section.name]) }
+    );
+  });
+
+  const createdAt = new Date();
+  files.unshift({ name: 'README.txt', content: buildReadme({ requestId }, sections, counts, createdAt, Boolean(bsnRecords)) });
+
+  const archive = createZipArchive(files, createdAt);
+  const result = await saveExport(`gdpr_exports/${userId}/${requestId}.zip`, archive, 'application/zip',
+    { userId, requestId }, counts, createdAt);
+
+  await onProgress({ completedSections: sections.length, totalSections: sections.length, currentSection: null });
+  return result;
+}
+
+/**
+ * Build the portability export of a request: one JSON document
+ *
+ * { format, version, exportedAt, subjectId, sections: { name: { title,
+ * records } } }. Records keep their Firestore fields, with timestamps as
+ * ISO 8601 strings and the source path in _path.
+ */
+async function buildPortabilityExport(userId, requestId, onProgress = async () => {}, { bsnRecords = null } = {}) {
+  const sections = EXPORT_SECTIONS.filter(section => PORTABILITY_SECTIONS.includes(section.name));
+  const records = await collectSections(sections, userId, onProgress);
+
+  if (bsnRecords) {
+    sections.push(BSN_SECTION);
+    records.bsn = bsnRecords;
+  }
+  const createdAt = new Date();
+  const counts = {};
+  const document = {
+    format: PORTABILITY_FORMAT,
+    version: PORTABILITY_VERSION,
+    exportedAt: createdAt.toISOString(),
+    subjectId: userId,
+    legalBasis: 'AVG artikel 20',
+    sections: {}
+  };
+
+  sections.forEach(section => {
+    counts[section.name] = records[section.name].length;
+    document.sections[section.name] = { title: section.title, records: records[section.name] };
+  });
+
+  const content = Buffer.from(JSON.stringify(document, null, 2), 'utf8');
+  const result = await saveExport(`gdpr_exports/${userId}/${requestId}.json`, content, 'application/json',
+    { userId, requestId, format: PORTABILITY_FORMAT }, counts, createdAt);
+
+  await onProgress({ completedSections: sections.length, totalSections: sections.length, currentSection: null });
+  return result;
+}
+
+/**
+ * Signed download URL of an export package, valid until it expires
+ */
+async function getExportDownloadUrl(path, expiresAt) {
+  const extension = path.slice(path.lastIndexOf('.'));
+  const [url] = await storage.bucket().file(path).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: expiresAt,
+    responseDisposition: `attachment; filename="securyflex-export${extension}"`
+  });
+  return url;
+}
+
+/**
+ * Delete export packages past their expiry and mark the requests expired
+ */
+async function deleteExpiredExports(now = new Date()) {
+  const expired = await db.collection('gdpr_requests')
+    .where('exportStatus', '==', 'ready')
+    .where('exportExpiresAt', '<', now)
+    .limit(200)
+    .get();
+
+  for (const doc of expired.docs) {
+    await storage.bucket().file(doc.data().exportFile).delete({ ignoreNotFound: true });
+    await doc.ref.update({ exportStatus: 'expired', exportDeletedAt: now });
+  }
+
+  return expired.size;
+}
+
+module.exports = {
+  EXPORT_SECTIONS,
+  buildGDPRExport,
+  buildPortabilityExport,
+  deleteExpiredExports,
+  getExportDownloadUrl,
+  selectExportSections
+};
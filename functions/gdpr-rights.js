@@ -0,0 +1,421 @@
+/**
+ * SECURYFLEX AVG RECHTEN VAN BETROKKENEN
+ * Rectification, restriction, objection and portability requests
+ * (AVG artikel 16, 18, 21 en 20)
+ *
+ * Each request type has its own validation and stage lifecycle; the
+ * generic status (pending, processing, completed, rejected) follows the
+ * stage so deadline tracking works for every type.
+ *
+ * Restrictions and upheld objections are recorded on the users document
+ * and flattened into excludedProcessingPurposes, which processing such as
+ * analytics aggregation must honour (see getExcludedUserIds).
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+// Processing purposes a user can restrict or object to ('all' covers every purpose)
+const PROCESSING_PURPOSES = ['analytics', 'location_tracking', 'marketing', 'profiling'];
+
+// AVG artikel 18 lid 1 sub a-d
+const RESTRICTION_GROUNDS = ['accuracy_contested', 'unlawful_processing', 'legal_claims', 'objection_pending'];
+
+// Fields a user may ask to have corrected, per collection (document keyed by user id)
+const RECTIFIABLE_FIELDS = {
+  users: ['name', 'phone', 'address', 'postalCode', 'city', 'dateOfBirth', 'kvkNumber', 'wpbrNumber'],
+  guard_profiles: ['name', 'phone', 'address', 'postalCode', 'city', 'dateOfBirth', 'wpbrNumber']
+};
+
+const MAX_RECTIFICATION_CHANGES = 20;
+const MAX_VALUE_LENGTH = 500;
+const MIN_MOTIVATION_LENGTH = 20;
+
+// Legacy request type names
+const REQUEST_TYPE_ALIASES = { modify: 'rectification' };
+
+/**
+ * Request types with their stage lifecycle
+ *
+ * transitions lists the stages reachable from each stage; status maps a
+ * stage to the generic request status. Portability requests run through
+ * the export pipeline, so their stage is the exportStatus.
+ */
+const RIGHTS = {
+  rectification: {
+    article: 'AVG artikel 16',
+    stageField: 'stage',
+    initialStage: 'under_review',
+    transitions: { under_review: ['applied', 'partially_applied', 'rejected'] },
+    status: { under_review: 'processing', applied: 'completed', partially_applied: 'completed', rejected: 'rejected' }
+  },
+  restriction: {
+    article: 'AVG artikel 18',
+    stageField: 'stage',
+    initialStage: 'active',
+    transitions: { active: ['lifted'] },
+    status: { active: 'completed', lifted: 'completed' }
+  },
+  objection: {
+    article: 'AVG artikel 21',
+    stageField: 'stage',
+    initialStage: 'under_review',
+    transitions: { under_review: ['upheld', 'overruled'] },
+    status: { under_review: 'processing', upheld: 'completed', overruled: 'rejected' }
+  },
+  portability: {
+    article: 'AVG artikel 20',
+    stageField: 'exportStatus',
+    initialStage: 'queued',
+    transitions: {
+      queued: ['collecting'],
+      collecting: ['ready', 'failed'],
+      failed: ['queued'],
+      ready: ['expired', 'queued'],
+      expired: ['queued']
+    },
+    status: { queued: 'processing', collecting: 'processing', ready: 'completed', failed: 'processing', expired: 'completed' }
+  }
+};
+
+/**
+ * Canonical request type (legacy aliases resolved)
+ */
+function normaliseRequestType(requestType) {
+  return REQUEST_TYPE_ALIASES[requestType] || requestType;
+}
+
+/**
+ * Whether a request type is handled by this module
+ */
+function isRightsRequestType(requestType) {
+  return Object.prototype.hasOwnProperty.call(RIGHTS, normaliseRequestType(requestType));
+}
+
+/**
+ * Whether a request of the given type may move from one stage to another
+ */
+function canTransition(requestType, from, to) {
+  const right = RIGHTS[normaliseRequestType(requestType)];
+  return Boolean(right && (right.transitions[from] || []).includes(to));
+}
+
+/**
+ * Validate the purposes of a restriction or objection
+ */
+function validatePurposes(purposes, errors) {
+  if (!Array.isArray(purposes) || purposes.length === 0) {
+    errors.push('purposes must be a non-empty list');
+    return;
+  }
+  purposes.filter(purpose => purpose !== 'all' && !PROCESSING_PURPOSES.includes(purpose))
+    .forEach(purpose => errors.push(`Unknown processing purpose: ${purpose}`));
+}
+
+/**
+ * Validate the type-specific fields of a request, returning all errors
+ */
+function validateRightsRequest(requestData) {
+  const errors = [];
+  const requestType = normaliseRequestType(requestData.requestType);
+
+  switch (requestType) {
+    case 'rectification': {
+      const { proposedChanges } = requestData;
+      if (!Array.isArray(proposedChanges) || proposedChanges.length === 0) {
+        errors.push('proposedChanges must be a non-empty list');
+        break;
+      }
+      if (proposedChanges.length > MAX_RECTIFICATION_CHANGES) {
+        errors.push(`At most ${MAX_RECTIFICATION_CHANGES} changes per request`);
+      }
+      proposedChanges.forEach((change, index) => {
+        const { collection, field, value } = change || {};
+        if (!RECTIFIABLE_FIELDS[collection]) {
+          errors.push(`proposedChanges[${index}]: collection must be one of ${Object.keys(RECTIFIABLE_FIELDS).join(', ')}`);
+        } else if (!RECTIFIABLE_FIELDS[collection].includes(field)) {
+          errors.push(`proposedChanges[${index}]: field ${field} cannot be rectified`);
+        }
+        if (value !== null && (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH)) {
+          errors.push(`proposedChanges[${index}]: value must be a string of at most ${MAX_VALUE_LENGTH} characters or null`);
+        }
+      });
+      break;
+    }
+
+    case 'restriction':
+      validatePurposes(requestData.purposes, errors);
+      if (!RESTRICTION_GROUNDS.includes(requestData.grounds)) {
+        errors.push(`grounds must be one of ${RESTRICTION_GROUNDS.join(', ')}`);
+      }
+      break;
+
+    case 'objection':
+      validatePurposes(requestData.purposes, errors);
+      // Objections to direct marketing need no motivation (artikel 21 lid 2)
+      if (Array.isArray(requestData.purposes) && requestData.purposes.some(purpose => purpose !== 'marketing') &&
+          (typeof requestData.grounds !== 'string' || requestData.grounds.trim().length < MIN_MOTIVATION_LENGTH)) {
+        errors.push(`grounds of at least ${MIN_MOTIVATION_LENGTH} characters required for purposes other than marketing`);
+      }
+      break;
+
+    case 'portability':
+      // Only data processed on the basis of consent or contract (artikel 20 lid 1)
+      if (requestData.legalBasis && !['consent', 'contract'].includes(requestData.legalBasis)) {
+        errors.push('Portability applies only to processing based on consent or contract');
+      }
+      break;
+
+    default:
+      errors.push(`Unsupported request type: ${requestData.requestType}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Purposes excluded from processing by restrictions and objections
+ */
+function computeExcludedPurposes(restrictions, objections) {
+  const purposes = new Set(Object.keys(objections));
+  Object.values(restrictions).forEach(restriction => restriction.purposes.forEach(purpose => purposes.add(purpose)));
+  return [...purposes].sort();
+}
+
+/**
+ * Read a user's restrictions and objections inside a transaction
+ *
+ * Change the returned maps in place and call save() once all reads of
+ * the transaction are done.
+ */
+async function loadProcessingLimits(transaction, userId) {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await transaction.get(userRef);
+  if (!userDoc.exists) {
+    throw Object.assign(new Error('User not found'), { code: 'not-found' });
+  }
+
+  const restrictions = { ...(userDoc.data().processingRestrictions || {}) };
+  const objections = { ...(userDoc.data().processingObjections || {}) };
+
+  return {
+    restrictions,
+    objections,
+    save: () => transaction.update(userRef, {
+      processingRestrictions: restrictions,
+      processingObjections: objections,
+      excludedProcessingPurposes: computeExcludedPurposes(restrictions, objections)
+    })
+  };
+}
+
+/**
+ * Notification to the data subject about their request
+ */
+function notifySubject(transaction, request, requestId, type, title, body, now) {
+  transaction.set(db.collection('notifications').doc(), {
+    userId: request.userId,
+    type,
+    title,
+    body,
+    requestId,
+    read: false,
+    createdAt: now
+  });
+}
+
+/**
+ * Update moving a request to a stage
+ */
+function stageUpdate(requestType, stage, actor, now, extra = {}) {
+  const right = RIGHTS[normaliseRequestType(requestType)];
+  const status = right.status[stage];
+
+  return {
+    stage,
+    status,
+    stageHistory: FieldValue.arrayUnion({ stage, at: now, by: actor }),
+    ...(['completed', 'rejected'].includes(status) ? { completedAt: now } : {}),
+    ...extra
+  };
+}
+
+/**
+ * Start a validated rectification, restriction or objection request
+ *
+ * Restrictions apply immediately; objections to direct marketing are
+ * upheld immediately (artikel 21 lid 3). Returns the stage reached.
+ */
+async function startRightsRequest(requestId, now = new Date()) {
+  const requestRef = db.collection('gdpr_requests').doc(requestId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(requestRef);
+    const request = doc.data();
+    const requestType = normaliseRequestType(request.requestType);
+    if (request.stage) return request.stage;
+
+    if (requestType === 'restriction') {
+      const limits = await loadProcessingLimits(transaction, request.userId);
+      limits.restrictions[requestId] = { purposes: request.purposes, grounds: request.grounds, since: now };
+      limits.save();
+      transaction.update(requestRef, stageUpdate(requestType, 'active', 'system', now));
+      notifySubject(transaction, request, requestId, 'gdpr_restriction_active',
+        'Verwerking van uw gegevens beperkt',
+        `Wij verwerken uw gegevens niet meer voor: ${request.purposes.join(', ')}. ` +
+        'U hoort van ons voordat deze beperking wordt opgeheven.', now);
+      return 'active';
+    }
+
+    if (requestType === 'objection' && request.purposes.every(purpose => purpose === 'marketing')) {
+      const limits = await loadProcessingLimits(transaction, request.userId);
+      limits.objections.marketing = { requestId, since: now };
+      limits.save();
+      transaction.update(requestRef, stageUpdate(requestType, 'upheld', 'system', now));
+      notifySubject(transaction, request, requestId, 'gdpr_objection_upheld',
+        'Bezwaar tegen direct marketing verwerkt',
+        'Wij gebruiken uw gegevens niet meer voor direct marketing.', now);
+      return 'upheld';
+    }
+
+    transaction.update(requestRef, stageUpdate(requestType, RIGHTS[requestType].initialStage, 'system', now));
+    return RIGHTS[requestType].initialStage;
+  });
+}
+
+/**
+ * Decide a rectification or objection, or lift a restriction (admin)
+ *
+ * Decisions: rectification approve (optionally approvedChanges: indices)
+ * or reject; restriction lift; objection uphold or overrule. Rejecting,
+ * lifting and overruling need a reason, which is sent to the data
+ * subject. Throws an Error with a code (not-found, failed-precondition,
+ * invalid-argument) that callers map to their own error type.
+ */
+async function reviewRightsRequest(requestId, adminId, decision, details = {}, now = new Date()) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  const { reason, approvedChanges } = details;
+  const requestRef = db.collection('gdpr_requests').doc(requestId);
+
+  if (['reject', 'lift', 'overrule'].includes(decision) &&
+      (typeof reason !== 'string' || reason.trim().length < MIN_MOTIVATION_LENGTH)) {
+    throw fail('invalid-argument', `Reason of at least ${MIN_MOTIVATION_LENGTH} characters required`);
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(requestRef);
+    if (!doc.exists) throw fail('not-found', 'GDPR request not found');
+
+    const request = doc.data();
+    const requestType = normaliseRequestType(request.requestType);
+    const review = { decision, reviewedBy: adminId, reviewedAt: now, ...(reason ? { reason: reason.trim() } : {}) };
+    const transition = (stage) => {
+      if (!canTransition(requestType, request.stage, stage)) {
+        throw fail('failed-precondition', `Cannot move a ${requestType} request from ${request.stage || 'unstarted'} to ${stage}`);
+      }
+    };
+
+    if (requestType === 'rectification' && decision === 'approve') {
+      const changes = request.proposedChanges;
+      const approved = Array.isArray(approvedChanges) ? approvedChanges : changes.map((change, index) => index);
+      if (approved.length === 0 || approved.some(index => !Number.isInteger(index) || !changes[index])) {
+        throw fail('invalid-argument', 'approvedChanges must list indices of proposed changes');
+      }
+
+      const stage = approved.length === changes.length ? 'applied' : 'partially_applied';
+      transition(stage);
+
+      const updates = {};
+      approved.forEach(index => {
+        const { collection, field, value } = changes[index];
+        updates[collection] = { ...updates[collection], [field]: value };
+      });
+      Object.entries(updates).forEach(([collection, fields]) => {
+        transaction.set(db.collection(collection).doc(request.userId), { ...fields, updatedAt: now }, { merge: true });
+      });
+
+      transaction.update(requestRef, stageUpdate(requestType, stage, adminId, now, {
+        review: { ...review, approvedChanges: approved }
+      }));
+      notifySubject(transaction, request, requestId, 'gdpr_rectification_applied',
+        'Uw gegevens zijn gecorrigeerd',
+        stage === 'applied'
+          ? 'Alle door u gevraagde correcties zijn doorgevoerd.'
+          : `${approved.length} van de ${changes.length} gevraagde correcties zijn doorgevoerd.`, now);
+      return stage;
+    }
+
+    if (requestType === 'rectification' && decision === 'reject') {
+      transition('rejected');
+      transaction.update(requestRef, stageUpdate(requestType, 'rejected', adminId, now, { review }));
+      notifySubject(transaction, request, requestId, 'gdpr_rectification_rejected',
+        'Correctieverzoek afgewezen', `Reden: ${review.reason}`, now);
+      return 'rejected';
+    }
+
+    if (requestType === 'restriction' && decision === 'lift') {
+      transition('lifted');
+      const limits = await loadProcessingLimits(transaction, request.userId);
+      delete limits.restrictions[requestId];
+      limits.save();
+      transaction.update(requestRef, stageUpdate(requestType, 'lifted', adminId, now, { review }));
+      // The data subject is informed when the restriction is lifted (artikel 18 lid 3)
+      notifySubject(transaction, request, requestId, 'gdpr_restriction_lifted',
+        'Beperking van verwerking opgeheven', `Reden: ${review.reason}`, now);
+      return 'lifted';
+    }
+
+    if (requestType === 'objection' && ['uphold', 'overrule'].includes(decision)) {
+      const stage = decision === 'uphold' ? 'upheld' : 'overruled';
+      transition(stage);
+
+      if (stage === 'upheld') {
+        const purposes = request.purposes.includes('all') ? PROCESSING_PURPOSES : request.purposes;
+        const limits = await loadProcessingLimits(transaction, request.userId);
+        purposes.forEach(purpose => { limits.objections[purpose] = { requestId, since: now }; });
+        limits.save();
+      }
+
+      transaction.update(requestRef, stageUpdate(requestType, stage, adminId, now, { review }));
+      notifySubject(transaction, request, requestId, `gdpr_objection_${stage}`,
+        stage === 'upheld' ? 'Uw bezwaar is toegekend' : 'Uw bezwaar is afgewezen',
+        stage === 'upheld'
+          ? `Wij verwerken uw gegevens niet meer voor: ${request.purposes.join(', ')}.`
+          : `Wij hebben dwingende gerechtvaardigde gronden voor de verwerking. Reden: ${review.reason}`, now);
+      return stage;
+    }
+
+    throw fail('invalid-argument', `Decision ${decision} does not apply to ${requestType} requests`);
+  });
+}
+
+/**
+ * Ids of users who restricted or objected to processing for a purpose
+ */
+async function getExcludedUserIds(purpose) {
+  const snapshot = await db.collection('users')
+    .where('excludedProcessingPurposes', 'array-contains-any', [purpose, 'all'])
+    .select()
+    .get();
+  return new Set(snapshot.docs.map(doc => doc.id));
+}
+
+module.exports = {
+  PROCESSING_PURPOSES,
+  RECTIFIABLE_FIELDS,
+  RESTRICTION_GROUNDS,
+  RIGHTS,
+  canTransition,
+  getExcludedUserIds,
+  isRightsRequestType,
+  normaliseRequestType,
+  reviewRightsRequest,
+  startRightsRequest,
+  validateRightsRequest
+};
@@ -0,0 +1,222 @@
+/**
+ * SECURYFLEX AVG EXTRA IDENTITEITSVERIFICATIE
+ * Step-up verification before a BSN is included in a GDPR export
+ *
+ * Export and portability requests with bsn_data get stepUp.status
+ * 'required' on the gdpr_requests document. The data subject then:
+ * 1. requests a one-time code, sent to their verified email address or
+ *    phone number (status 'code_sent')
+ * 2. submits the code (status 'verified', or 'locked' after too many
+ *    wrong codes)
+ * Both steps need a sign-in within the last RECENT_AUTH_SECONDS. Only the
+ * code's HMAC is stored, in gdpr_step_up_codes/{requestId}, which clients
+ * cannot read.
+ *
+ * Email is queued in the mail collection (Trigger Email extension), text
+ * messages in sms_messages (Send Messages with Twilio extension).
+ */
+
+const crypto = require('crypto');
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const STEP_UP_CHANNELS = ['email', 'phone'];
+const CODE_DIGITS = 6;
+const CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_CODES_PER_REQUEST = 3;
+const MAX_CODE_ATTEMPTS = 5;
+const RECENT_AUTH_SECONDS = 5 * 60;
+
+/**
+ * Whether a request needs step-up verification before it is exported
+ */
+function requiresStepUp(requestData) {
+  return ['export', 'portability'].includes(requestData.requestType) &&
+    Array.isArray(requestData.dataTypes) && requestData.dataTypes.includes('bsn_data');
+}
+
+/**
+ * Check that the caller signed in recently (auth_time in the ID token)
+ */
+function assertRecentAuth(token, now) {
+  const authAge = Math.floor(now.getTime() / 1000) - (token.auth_time || 0);
+  if (authAge > RECENT_AUTH_SECONDS) {
+    throw Object.assign(new Error('Sign in again to verify your identity'), { code: 'unauthenticated' });
+  }
+}
+
+/**
+ * HMAC of a code, keyed per issued code
+ */
+function hashCode(code, salt) {
+  return crypto.createHmac('sha256', salt).update(code).digest('hex');
+}
+
+/**
+ * Mask an email address or phone number for display
+ */
+function maskDestination(channel, destination) {
+  if (channel === 'email') {
+    const [local, domain] = destination.split('@');
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+  return `${'*'.repeat(Math.max(destination.length - 2, 0))}${destination.slice(-2)}`;
+}
+
+/**
+ * Load a request of the caller that is waiting for step-up verification
+ */
+async function loadStepUpRequest(transaction, requestRef, userId, allowedStatuses) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  const doc = await transaction.get(requestRef);
+
+  if (!doc.exists) throw fail('not-found', 'GDPR request not found');
+  const request = doc.data();
+  if (request.userId !== userId) throw fail('permission-denied', 'Access denied');
+  if (!request.stepUp || !allowedStatuses.includes(request.stepUp.status)) {
+    throw fail('failed-precondition', `Step-up verification is ${request.stepUp ? request.stepUp.status : 'not required'}`);
+  }
+  return request;
+}
+
+/**
+ * Send a one-time code for a request's step-up verification
+ *
+ * token is the caller's decoded ID token; the code goes to its verified
+ * email address or phone number. Throws an Error with a code
+ * (invalid-argument, not-found, permission-denied, failed-precondition,
+ * resource-exhausted, unauthenticated) that callers map to their own
+ * error type. Returns { channel, destinationHint, expiresAt }.
+ */
+async function sendStepUpCode(requestId, token, channel, now = new Date()) {
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+
+  if (!STEP_UP_CHANNELS.includes(channel)) {
+    throw fail('invalid-argument', `channel must be one of ${STEP_UP_CHANNELS.join(', ')}`);
+  }
+  assertRecentAuth(token, now);
+
+  const destination = channel === 'email'
+    ? (token.email_verified ? token.email : null)
+    : token.phone_number;
+  if (!destination) {
+    throw fail('failed-precondition', `No verified ${channel === 'email' ? 'email address' : 'phone number'} on this account`);
+  }
+
+  const requestRef = db.collection('gdpr_requests').doc(requestId);
+  const codeRef = db.collection('gdpr_step_up_codes').doc(requestId);
+  const code = String(crypto.randomInt(0, 10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+  const salt = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(now.getTime() + CODE_TTL_MS);
+  const destinationHint = maskDestination(channel, destination);
+
+  await db.runTransaction(async (transaction) => {
+    const request = await loadStepUpRequest(transaction, requestRef, token.uid, ['required', 'code_sent']);
+    const codesSent = request.stepUp.codesSent || 0;
+    if (codesSent >= MAX_CODES_PER_REQUEST) {
+      throw fail('resource-exhausted', 'Too many codes requested for this request');
+    }
+
+    transaction.set(codeRef, { requestId, userId: token.uid, codeHash: hashCode(code, salt), salt, expiresAt, attempts: 0, createdAt: now });
+    transaction.update(requestRef, {
+      stepUp: {
+        ...request.stepUp,
+        status: 'code_sent',
+        channel,
+        destinationHint,
+        codesSent: codesSent + 1,
+        codeExpiresAt: expiresAt,
+        lastCodeSentAt: now
+      }
+    });
+  });
+
+  const text = `Uw SecuryFlex verificatiecode is ${code}. De code is 10 minuten geldig. ` +
+    'Deel deze code met niemand; SecuryFlex vraagt hier nooit om.';
+  if (channel === 'email') {
+    await db.collection('mail').add({
+      to: destination,
+      message: { subject: 'Verificatiecode voor uw gegevensexport', text },
+      userId: token.uid,
+      createdAt: now
+    });
+  } else {
+    await db.collection('sms_messages').add({ to: destination, body: text, userId: token.uid, createdAt: now });
+  }
+
+  return { channel, destinationHint, expiresAt };
+}
+
+/**
+ * Check a one-time code and mark the request's step-up verification passed
+ *
+ * Throws like sendStepUpCode; a wrong code throws invalid-argument (or
+ * failed-precondition once the request is locked). Returns true when
+ * verified.
+ */
+async function verifyStepUpCode(requestId, token, code, now = new Date()) {
+  const fail = (errorCode, message) => Object.assign(new Error(message), { code: errorCode });
+
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${CODE_DIGITS}}$`).test(code)) {
+    throw fail('invalid-argument', `Code must be ${CODE_DIGITS} digits`);
+  }
+  assertRecentAuth(token, now);
+
+  const requestRef = db.collection('gdpr_requests').doc(requestId);
+  const codeRef = db.collection('gdpr_step_up_codes').doc(requestId);
+
+  // Failed attempts are committed before the error is thrown
+  const outcome = await db.runTransaction(async (transaction) => {
+    const request = await loadStepUpRequest(transaction, requestRef, token.uid, ['code_sent']);
+    const codeDoc = await transaction.get(codeRef);
+    const stored = codeDoc.exists ? codeDoc.data() : null;
+
+    if (!stored || stored.expiresAt.toDate() <= now) {
+      return { error: fail('failed-precondition', 'Code expired; request a new code') };
+    }
+
+    const expected = Buffer.from(stored.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(code, stored.salt), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const attempts = stored.attempts + 1;
+      const locked = attempts >= MAX_CODE_ATTEMPTS;
+      transaction.update(codeRef, { attempts });
+      transaction.update(requestRef, {
+        stepUp: { ...request.stepUp, status: locked ? 'locked' : 'code_sent', failedAttempts: attempts }
+      });
+      return {
+        error: locked
+          ? fail('failed-precondition', 'Too many wrong codes; contact SecuryFlex to verify your identity')
+          : fail('invalid-argument', 'Wrong code')
+      };
+    }
+
+    transaction.delete(codeRef);
+    transaction.update(requestRef, {
+      stepUp: {
+        ...request.stepUp,
+        status: 'verified',
+        verifiedAt: now,
+        verifiedChannel: request.stepUp.channel,
+        authTime: new Date(token.auth_time * 1000),
+        codeExpiresAt: null
+      }
+    });
+    return { verified: true };
+  });
+
+  if (outcome.error) throw outcome.error;
+  return true;
+}
+
+module.exports = {
+  requiresStepUp,
+  sendStepUpCode,
+  verifyStepUpCode
+};
@@ -13,7 +13,7 @@
 const {setGlobalOptions} = require("firebase-functions");
 const {onRequest} = require("firebase-functions/https");
 const {onCall, HttpsError} = require("firebase-functions/v2/https");
-const logger = require("firebase-functions/logger");
+const logger = require('./redacting-logger');
 const { initializeApp } = require('firebase-admin/app');
 const { getFirestore } = require('firebase-admin/firestore');
 
@@ -34,12 +34,53 @@ setGlobalOptions({
 // Import comprehensive security monitoring
 const securityFunctions = require('./security-monitoring');
 
+// Hash-chained security audit log
+const { createSecurityAuditLog } = require('./audit-log');
+
+// Shared rate limiting engine
+const { checkRateLimit, getRateLimitStatus, resolveUserType } = require('./rate-limiting');
+
+// Versioned consent ledger
+const { getConsentStatus, recordConsent } = require('./consent-ledger');
+
+// Step-up identity verification for BSN exports
+const { sendStepUpCode, verifyStepUpCode } = require('./gdpr-step-up');
+
 // Export security monitoring functions
 exports.securityMonitor = securityFunctions.securityMonitor;
 exports.gdprComplianceMonitor = securityFunctions.gdprComplianceMonitor;
+exports.processGDPRExport = securityFunctions.processGDPRExport;
+exports.processGDPRErasureRequest = securityFunctions.processGDPRErasureRequest;
+exports.verifyGDPRErasureCertificate = securityFunctions.verifyGDPRErasureCertificate;
+exports.monitorGDPRDeadlines = securityFunctions.monitorGDPRDeadlines;
+exports.extendGDPRDeadline = securityFunctions.extendGDPRDeadline;
+exports.getGDPRRequestSummary = securityFunctions.getGDPRRequestSummary;
+exports.reviewGDPRRequest = securityFunctions.reviewGDPRRequest;
+exports.enforceLocationConsent = securityFunctions.enforceLocationConsent;
 exports.certificateSecurityMonitor = securityFunctions.certificateSecurityMonitor;
+exports.processCertificateVerificationQueue = securityFunctions.processCertificateVerificationQueue;
+exports.reviewCertificateVerification = securityFunctions.reviewCertificateVerification;
+exports.getCertificateTypes = securityFunctions.getCertificateTypes;
+exports.upsertCertificateType = securityFunctions.upsertCertificateType;
+exports.encryptBsn = securityFunctions.encryptBsn;
+exports.decryptCertificateBsn = securityFunctions.decryptCertificateBsn;
+exports.rotateBsnEncryptionKeys = securityFunctions.rotateBsnEncryptionKeys;
+exports.importCertificateRevocations = securityFunctions.importCertificateRevocations;
+exports.recheckCertificateRevocations = securityFunctions.recheckCertificateRevocations;
 exports.dailySecurityMaintenance = securityFunctions.dailySecurityMaintenance;
+exports.processCertificateExpiryReminders = securityFunctions.processCertificateExpiryReminders;
 exports.triggerSecurityAssessment = securityFunctions.triggerSecurityAssessment;
+exports.getUserViolationHistory = securityFunctions.getUserViolationHistory;
+exports.forgiveUserViolations = securityFunctions.forgiveUserViolations;
+exports.getThreatDetectionRules = securityFunctions.getThreatDetectionRules;
+exports.upsertThreatDetectionRule = securityFunctions.upsertThreatDetectionRule;
+exports.getAuditMonitoringConfig = securityFunctions.getAuditMonitoringConfig;
+exports.upsertAuditMonitoringConfig = securityFunctions.upsertAuditMonitoringConfig;
+exports.verifyAuditChain = securityFunctions.verifyAuditChain;
+exports.anchorAuditChainsDaily = securityFunctions.anchorAuditChainsDaily;
+exports.archiveOldAuditLogs = securityFunctions.archiveOldAuditLogs;
+exports.restoreAuditArchive = securityFunctions.restoreAuditArchive;
+exports.searchAuditLogs = securityFunctions.searchAuditLogs;
 
 // ========================================
 // RATE LIMITING API FUNCTIONS
@@ -55,33 +96,29 @@ exports.checkRateLimit = onCall(async (request) => {
     throw new HttpsError('unauthenticated', 'Authentication required');
   }
   
-  const { operation, userType = 'default' } = data;
+  // userType in data is ignored: quotas follow the role stored server-side
+  const { operation } = data;
   
   if (!operation) {
     throw new HttpsError('invalid-argument', 'Operation parameter required');
   }
   
   try {
-    // Get user type from Firestore if not provided
-    let effectiveUserType = userType;
-    if (userType === 'default') {
-      const userDoc = await db.collection('users').doc(auth.uid).get();
-      effectiveUserType = userDoc.exists ? userDoc.data().userType || 'default' : 'default';
-    }
+    const effectiveUserType = await resolveUserType(auth.uid);
     
-    // Check rate limit using security monitoring module
-    const rateLimitPassed = await checkUserRateLimit(auth.uid, operation, effectiveUserType);
+    // Check rate limit using the shared rate limiting engine
+    const quota = await checkRateLimit(auth.uid, operation, effectiveUserType);
     
     return {
-      allowed: rateLimitPassed,
-      operation,
+      allowed: true,
+      ...quota,
       userType: effectiveUserType,
       timestamp: new Date().toISOString()
     };
     
   } catch (error) {
-    if (error.code === 'resource-exhausted') {
-      throw error; // Re-throw rate limit errors
+    if (error instanceof HttpsError) {
+      throw error; // Re-throw rate limit and validation errors
     }
     
     logger.error('Rate limit check error:', error);
@@ -90,72 +127,28 @@ exports.checkRateLimit = onCall(async (request) => {
 });
 
 /**
- * Helper function to check rate limits
+ * Current rate limit quota for every operation of the calling user
  */
-async function checkUserRateLimit(userId, operation, userType) {
-  const now = Date.now();
-  const windowStart = now - (60 * 1000); // 1-minute window
+exports.getRateLimitStatus = onCall(async (request) => {
+  const { auth } = request;
   
-  const rateLimitRef = db.collection('rate_limits').doc(userId);
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
   
-  return db.runTransaction(async (transaction) => {
-    const rateLimitDoc = await transaction.get(rateLimitRef);
-    
-    let rateLimitData = rateLimitDoc.exists ? rateLimitDoc.data() : {};
-    
-    // Reset window if expired
-    if (!rateLimitData.windowStart || rateLimitData.windowStart < windowStart) {
-      rateLimitData = {
-        windowStart: now,
-        requests: 0,
-        lastRequest: now,
-        [operation]: 0
-      };
-    }
+  try {
+    const status = await getRateLimitStatus(auth.uid);
     
-    // Rate limits per user type per minute
-    const LIMITS = {
-      user_reads: { default: 100, guard: 150, company: 200, admin: 1000 },
-      job_reads: { default: 200, guard: 300, company: 100, admin: 500 },
-      certificate_reads: { default: 10, guard: 20, company: 5, admin: 100 }
+    return {
+      ...status,
+      timestamp: new Date().toISOString()
     };
     
-    const limit = LIMITS[operation]?.[userType] || LIMITS[operation]?.default || 100;
-    const currentCount = rateLimitData[operation] || 0;
-    
-    // Check if limit exceeded
-    if (currentCount >= limit) {
-      // Log violation
-      await logRateLimitViolation(userId, operation, limit, currentCount + 1);
-      throw new HttpsError('resource-exhausted', `Rate limit exceeded for ${operation}`);
-    }
-    
-    // Update counters
-    rateLimitData.requests = (rateLimitData.requests || 0) + 1;
-    rateLimitData[operation] = currentCount + 1;
-    rateLimitData.lastRequest = now;
-    
-    transaction.set(rateLimitRef, rateLimitData, { merge: true });
-    
-    return true;
-  });
-}
-
-/**
- * Log rate limit violations for security monitoring
- */
-async function logRateLimitViolation(userId, operation, limit, attempts) {
-  await db.collection('security_violations').add({
-    userId,
-    violationType: 'rate_limit',
-    operation,
-    limit,
-    attempts,
-    timestamp: new Date(),
-    severity: attempts > limit * 2 ? 'high' : 'medium',
-    autoGenerated: true
-  });
-}
+  } catch (error) {
+    logger.error('Rate limit status error:', error);
+    throw new HttpsError('internal', 'Rate limit status check failed');
+  }
+});
 
 // ========================================
 // NEDERLANDSE COMPLIANCE FUNCTIONS
@@ -163,6 +156,9 @@ async function logRateLimitViolation(userId, operation, limit, attempts) {
 
 /**
  * GDPR/AVG data export for Nederlandse compliance
+ *
+ * Export packages are built asynchronously (see gdpr-export.js); this
+ * returns the progress, or the download link once the package is ready.
  */
 exports.exportUserData = onCall(async (request) => {
   const { auth, data } = request;
@@ -171,7 +167,7 @@ exports.exportUserData = onCall(async (request) => {
     throw new HttpsError('unauthenticated', 'Authentication required');
   }
   
-  const { requestId } = data;
+  const { requestId } = data || {};
   
   if (!requestId) {
     throw new HttpsError('invalid-argument', 'Request ID required');
@@ -191,41 +187,55 @@ exports.exportUserData = onCall(async (request) => {
       throw new HttpsError('permission-denied', 'Access denied');
     }
     
-    if (gdprData.requestType !== 'export') {
-      throw new HttpsError('invalid-argument', 'Not an export request');
+    if (!['export', 'portability'].includes(gdprData.requestType)) {
+      throw new HttpsError('invalid-argument', 'Not an export or portability request');
     }
     
-    // Export user data according to Nederlandse AVG requirements
-    const userData = await exportCompleteUserData(auth.uid, gdprData.dataTypes);
+    if (gdprData.status === 'rejected') {
+      throw new HttpsError('failed-precondition', 'GDPR request was rejected');
+    }
     
-    // Update request status
-    await gdprRequestDoc.ref.update({
-      status: 'completed',
-      completedAt: new Date(),
-      exportSize: JSON.stringify(userData).length
-    });
+    if (gdprData.stepUp && gdprData.stepUp.status !== 'verified') {
+      throw new HttpsError('failed-precondition', 'Identity verification required before BSN data can be exported');
+    }
     
-    // Log compliance action
-    await db.collection('security_audit').add({
-      userId: auth.uid,
-      action: 'gdpr_export_completed',
-      resourceType: 'user_data',
-      resourceId: auth.uid,
-      timestamp: new Date(),
-      success: true,
-      riskLevel: 'low',
-      metadata: {
+    if (gdprData.exportStatus === 'ready') {
+      await createSecurityAuditLog({
+        userId: auth.uid,
+        action: 'gdpr_export_downloaded',
+        resourceType: 'gdpr_requests',
+        resourceId: requestId,
+        timestamp: new Date(),
+        success: true,
+        riskLevel: 'low',
+        metadata: { exportSize: gdprData.exportSize }
+      });
+      
+      return {
         requestId,
-        dataTypes: gdprData.dataTypes,
-        exportSize: JSON.stringify(userData).length
-      }
-    });
+        exportStatus: 'ready',
+        downloadUrl: gdprData.downloadUrl,
+        expiresAt: gdprData.exportExpiresAt.toDate().toISOString(),
+        exportSize: gdprData.exportSize
+      };
+    }
+    
+    // (Re)queue exports that were never started, failed or expired
+    if (!gdprData.exportStatus || ['failed', 'expired'].includes(gdprData.exportStatus)) {
+      await gdprRequestDoc.ref.update({
+        exportStatus: 'queued',
+        exportFormat: gdprData.requestType === 'portability' ? 'portability' : 'package',
+        exportQueuedAt: new Date(),
+        exportProgress: { completedSections: 0, totalSections: null, percent: 0, currentSection: null }
+      });
+      
+      return { requestId, exportStatus: 'queued', progress: null };
+    }
     
     return {
-      success: true,
-      userData,
-      exportDate: new Date().toISOString(),
-      requestId
+      requestId,
+      exportStatus: gdprData.exportStatus,
+      progress: gdprData.exportProgress || null
     };
     
   } catch (error) {
@@ -234,52 +244,182 @@ exports.exportUserData = onCall(async (request) => {
   }
 });
 
+// Errors from gdpr-step-up.js that are passed on to the caller
+const STEP_UP_ERROR_CODES = ['invalid-argument', 'not-found', 'permission-denied', 'failed-precondition', 'resource-exhausted', 'unauthenticated'];
+
 /**
- * Export complete user data for GDPR compliance
+ * Send a one-time code for the step-up verification of a BSN export
  */
-async function exportCompleteUserData(userId, dataTypes) {
-  const userData = {
-    userId,
-    exportTimestamp: new Date().toISOString(),
-    dataTypes
+exports.requestGDPRStepUpCode = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+  
+  const { requestId, channel } = data || {};
+  
+  if (!requestId) {
+    throw new HttpsError('invalid-argument', 'Request ID required');
+  }
+  
+  let sent;
+  try {
+    sent = await sendStepUpCode(requestId, { uid: auth.uid, ...auth.token }, channel);
+  } catch (error) {
+    if (STEP_UP_ERROR_CODES.includes(error.code)) {
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'gdpr_step_up_code_sent',
+    resourceType: 'gdpr_requests',
+    resourceId: requestId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { channel }
+  });
+  
+  return {
+    requestId,
+    channel: sent.channel,
+    destinationHint: sent.destinationHint,
+    expiresAt: sent.expiresAt.toISOString()
   };
+});
+
+/**
+ * Verify the one-time code and start the BSN export
+ */
+exports.verifyGDPRStepUpCode = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+  
+  const { requestId, code } = data || {};
+  
+  if (!requestId) {
+    throw new HttpsError('invalid-argument', 'Request ID required');
+  }
   
-  // User profile data
-  if (dataTypes.includes('profile_data')) {
-    const userDoc = await db.collection('users').doc(userId).get();
-    userData.profile = userDoc.exists ? userDoc.data() : null;
+  const gdprRequestRef = db.collection('gdpr_requests').doc(requestId);
+  const requestDoc = await gdprRequestRef.get();
+  if (requestDoc.exists && requestDoc.data().userId === auth.uid && requestDoc.data().status === 'rejected') {
+    throw new HttpsError('failed-precondition', 'GDPR request was rejected');
   }
   
-  // Certificate data (with BSN encryption compliance)
-  if (dataTypes.includes('certificate_data')) {
-    const certificates = await db.collection('certificates')
-      .where('userId', '==', userId)
-      .get();
+  try {
+    await verifyStepUpCode(requestId, { uid: auth.uid, ...auth.token }, code);
+  } catch (error) {
+    if (STEP_UP_ERROR_CODES.includes(error.code)) {
+      await createSecurityAuditLog({
+        userId: auth.uid,
+        action: 'gdpr_step_up_failed',
+        resourceType: 'gdpr_requests',
+        resourceId: requestId,
+        timestamp: new Date(),
+        success: false,
+        riskLevel: 'high',
+        metadata: { reason: error.message }
+      });
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+  
+  // Queue the export like exportUserData: not for rejected requests, and
+  // not again while it is queued, building or ready
+  const { gdprData, exportStatus } = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(gdprRequestRef)).data();
+    if (current.status === 'rejected' ||
+        (current.exportStatus && !['failed', 'expired'].includes(current.exportStatus))) {
+      return { gdprData: current, exportStatus: current.exportStatus || null };
+    }
     
-    userData.certificates = certificates.docs.map(doc => {
-      const certData = doc.data();
-      // Ensure BSN remains encrypted in export
-      if (certData.holderBsn && certData.holderBsn.startsWith('ENC:')) {
-        certData.holderBsn = '[ENCRYPTED_BSN_DATA]';
-      }
-      return { id: doc.id, ...certData };
+    transaction.update(gdprRequestRef, {
+      exportStatus: 'queued',
+      exportFormat: current.requestType === 'portability' ? 'portability' : 'package',
+      exportQueuedAt: new Date(),
+      exportProgress: { completedSections: 0, totalSections: null, percent: 0, currentSection: null }
     });
+    return { gdprData: current, exportStatus: 'queued' };
+  });
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'gdpr_step_up_verified',
+    resourceType: 'gdpr_requests',
+    resourceId: requestId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { channel: gdprData.stepUp.verifiedChannel }
+  });
+  
+  return { requestId, stepUp: 'verified', exportStatus };
+});
+
+/**
+ * Grant or withdraw consent for a processing purpose
+ *
+ * Withdrawing location tracking consent also removes the stored location.
+ */
+exports.updateConsent = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
   }
   
-  // Application history
-  if (dataTypes.includes('application_data')) {
-    const applications = await db.collection('applications')
-      .where('guardId', '==', userId)
-      .get();
-    
-    userData.applications = applications.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+  const { purpose, granted, policyId, source } = data || {};
+  
+  let entry;
+  try {
+    entry = await recordConsent(auth.uid, { purpose, granted, policyId, source });
+  } catch (error) {
+    if (['invalid-argument', 'not-found'].includes(error.code)) {
+      throw new HttpsError(error.code, error.message);
+    }
+    logger.error('Consent update error:', error);
+    throw new HttpsError('internal', 'Consent could not be recorded');
+  }
+  
+  if (purpose === 'location_tracking' && !granted) {
+    await db.collection('guard_locations').doc(auth.uid).delete();
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: `consent_${entry.action}`,
+    resourceType: 'user_consents',
+    resourceId: auth.uid,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'low',
+    metadata: { purpose, policyId, policyVersion: entry.policyVersion, sequence: entry.sequence }
+  });
+  
+  return { purpose, action: entry.action, policyId, sequence: entry.sequence };
+});
+
+/**
+ * Current consent per purpose, flagging consents that need renewal
+ */
+exports.getConsentStatus = onCall(async (request) => {
+  const { auth } = request;
+  
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
   }
   
-  return userData;
-}
+  return { purposes: await getConsentStatus(auth.uid) };
+});
 
 // ========================================
 // SYSTEM HEALTH MONITORING
@@ -328,16 +468,17 @@ exports.securityStatus = onCall(async (request) => {
     const now = new Date();
     const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
     
-    const [threats, violations, activeUsers] = await Promise.all([
+    const [threats, violations, activeUsers, wpbrStatus] = await Promise.all([
       db.collection('threat_monitoring')
         .where('timestamp', '>=', dayAgo)
         .get(),
-      db.collection('security_violations')
+      db.collectionGroup('violation_history')
         .where('timestamp', '>=', dayAgo)
         .get(),
       db.collection('rate_limits')
         .where('lastRequest', '>=', dayAgo.getTime())
-        .get()
+        .get(),
+      db.collection('compliance_monitoring').doc('WPBR').get()
     ]);
     
     return {
@@ -345,14 +486,16 @@ exports.securityStatus = onCall(async (request) => {
       timestamp: now.toISOString(),
       metrics: {
         threatsDetected24h: threats.size,
-        violationsRecorded24h: violations.size,
+        violationsRecorded24h: violations.docs.filter(doc => doc.data().type !== 'forgiveness').length,
         activeUsers24h: activeUsers.size,
         systemLoad: 'normal'
       },
       compliance: {
         gdpr: 'compliant',
         avg: 'compliant',
-        wpbr: 'compliant'
+        // Written by the daily compliance check (validateWPBRCompliance)
+        wpbr: wpbrStatus.exists ? wpbrStatus.data().status : 'unchecked',
+        wpbrRiskScore: wpbrStatus.exists ? wpbrStatus.data().riskScore : null
       }
     };
     
@@ -0,0 +1,54 @@
+/**
+ * SECURYFLEX INTERNAL COLLECTIONS
+ * Top-level collections written only by the backend (Admin SDK)
+ *
+ * Writes to these collections are made by the functions themselves, not
+ * by users: securityMonitor skips them, so they neither retrigger it nor
+ * count as user activity, and they are never audited. A function that
+ * adds a backend-only collection lists it here.
+ */
+
+const INTERNAL_COLLECTIONS = [
+  // Security monitoring and threat detection
+  'rate_limits',
+  'security_audit',
+  'security_violations',
+  'security_reports',
+  'threat_monitoring',
+  'threat_detection_rules',
+  'activity_baselines',
+  'activity_counters',
+
+  // Audit trail
+  'audit_chains',
+  'audit_chain_anchors',
+  'audit_archives',
+  'audit_restores',
+  'audit_monitoring_config',
+
+  // Certificates and compliance
+  'certificate_alerts',
+  'certificate_verifications',
+  'certificate_audit',
+  'certificate_revocations',
+  'certificate_types',
+  'revocation_imports',
+  'compliance_monitoring',
+  'compliance_escalations',
+
+  // BSN encryption
+  'bsn_verifications',
+  'bsn_key_rotation',
+
+  // GDPR
+  'gdpr_step_up_codes',
+
+  // Outgoing messages
+  'mail',
+  'sms_messages',
+  'notifications'
+];
+
+module.exports = {
+  INTERNAL_COLLECTIONS
+};
@@ -0,0 +1,132 @@
+/**
+ * SECURYFLEX NOTIFICATION DELIVERY
+ * In-app, FCM push and email delivery honouring user preferences
+ *
+ * Preferences come from guard_notification_preferences/{userId} (kept in
+ * sync by the app): masterNotificationsEnabled plus per category
+ * <category>AlertsEnabled, <category>AlertsPush and <category>AlertsEmail.
+ * Missing preferences count as enabled, matching the app's defaults.
+ *
+ * Push goes to the active tokens in notification_tokens; tokens FCM
+ * reports as unregistered are deactivated. Email is queued in the mail
+ * collection ({ to, message }), which the Trigger Email extension sends.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getMessaging } = require('firebase-admin/messaging');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+/**
+ * Which channels a user wants for a notification category
+ */
+async function getDeliveryChannels(userId, category) {
+  const prefsDoc = await db.collection('guard_notification_preferences').doc(userId).get();
+  const prefs = prefsDoc.exists ? prefsDoc.data() : {};
+  const enabled = prefs.masterNotificationsEnabled !== false && prefs[`${category}AlertsEnabled`] !== false;
+
+  return {
+    push: enabled && prefs[`${category}AlertsPush`] !== false,
+    email: enabled && prefs[`${category}AlertsEmail`] !== false
+  };
+}
+
+/**
+ * Send a push message to all active devices of a user
+ */
+async function sendPush(userId, { title, body, data }) {
+  const tokens = await db.collection('notification_tokens')
+    .where('userId', '==', userId)
+    .where('isActive', '==', true)
+    .get();
+
+  if (tokens.empty) return { sent: 0, failed: 0 };
+
+  const response = await getMessaging().sendEachForMulticast({
+    tokens: tokens.docs.map(doc => doc.data().token),
+    notification: { title, body },
+    // FCM data values must be strings
+    data: Object.fromEntries(Object.entries(data || {}).map(([key, value]) => [key, String(value)]))
+  });
+
+  const stale = response.responses
+    .map((result, index) => (!result.success && STALE_TOKEN_ERRORS.includes(result.error?.code) ? tokens.docs[index] : null))
+    .filter(Boolean);
+  await Promise.all(stale.map(doc => doc.ref.update({ isActive: false, deactivatedAt: new Date() })));
+
+  return { sent: response.successCount, failed: response.failureCount };
+}
+
+/**
+ * Queue an email for the user's address
+ */
+async function queueEmail(userId, { title, body }) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  const email = userDoc.exists ? userDoc.data().email : null;
+  if (!email) return false;
+
+  await db.collection('mail').add({
+    to: email,
+    message: { subject: title, text: body },
+    userId,
+    createdAt: new Date()
+  });
+  return true;
+}
+
+/**
+ * Deliver a notification in-app and over the channels the user enabled
+ *
+ * notification: { type, title, body, data } where data holds ids that
+ * are stored with the in-app notification and sent along with the push.
+ * Channel failures are reported, not thrown, so one failing channel does
+ * not stop the others. Returns the result per channel.
+ */
+async function deliverNotification(userId, notification, { category }) {
+  const { type, title, body, data = {} } = notification;
+  const channels = await getDeliveryChannels(userId, category);
+  const result = { inApp: false, push: null, email: null };
+
+  await db.collection('notifications').add({
+    userId,
+    type,
+    title,
+    body,
+    ...data,
+    read: false,
+    createdAt: new Date()
+  });
+  result.inApp = true;
+
+  if (channels.push) {
+    try {
+      result.push = await sendPush(userId, { title, body, data: { type, ...data } });
+    } catch (error) {
+      result.push = { sent: 0, error: error.message };
+    }
+  }
+
+  if (channels.email) {
+    try {
+      result.email = { queued: await queueEmail(userId, { title, body }) };
+    } catch (error) {
+      result.email = { queued: false, error: error.message };
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  deliverNotification
+};
@@ -0,0 +1,147 @@
+/**
+ * SECURYFLEX PII REDACTION
+ * Detection and masking of Nederlandse personal data (AVG/GDPR)
+ *
+ * Used by the logger (redacting-logger.js), the audit-log writers and all
+ * data export paths so personal data never reaches logs or exports:
+ * - BSN (burgerservicenummer, only numbers passing the 11-proef)
+ * - IBAN (only numbers passing the mod-97 check)
+ * - Dutch phone numbers (06, landline, +31/0031)
+ * - Email addresses
+ * - Postcode plus house number (a full address)
+ * Values of fields named like bsn/iban/phone are masked regardless of
+ * their contents, which also covers encrypted (ENC:) values.
+ */
+
+const MASKS = {
+  bsn: '[REDACTED_BSN]',
+  iban: '[REDACTED_IBAN]',
+  phone: '[REDACTED_PHONE]',
+  email: '[REDACTED_EMAIL]',
+  address: '[REDACTED_ADDRESS]'
+};
+
+const SENSITIVE_FIELDS = [
+  { pattern: /bsn/i, mask: MASKS.bsn },
+  { pattern: /iban|bankAccount|rekeningnummer/i, mask: MASKS.iban },
+  { pattern: /phone|telefoon|mobiel/i, mask: MASKS.phone }
+];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const IBAN_PATTERN = /\b[A-Za-z]{2}\d{2}(?: ?[A-Za-z0-9]{4}){2,7}(?: ?[A-Za-z0-9]{1,3})?\b/g;
+const PHONE_PATTERN = /(?<![\w+])(?:\+31|0031|0)(?:[ -]?\(0\))?[ -]?[1-9](?:[ -]?\d){8}(?!\d)/g;
+// Dutch postcodes never use the letter combinations SA, SD and SS
+const POSTCODE = '[1-9]\\d{3} ?(?![Ss][AaDdSs])[A-Za-z]{2}';
+const HOUSE_NUMBER = '\\d{1,5}(?:[ -]?[A-Za-z](?![A-Za-z])|-\\d{1,4})?';
+const ADDRESS_PATTERNS = [
+  new RegExp(`\\b${POSTCODE},? ${HOUSE_NUMBER}\\b`, 'g'),
+  new RegExp(`\\b${HOUSE_NUMBER},? ${POSTCODE}\\b`, 'g')
+];
+const BSN_PATTERN = /(?<![\w.-])\d{4}[ .]?\d{2}[ .]?\d{3}(?![\w]|[.-]\d)/g;
+
+/**
+ * Check a BSN with the 11-proef
+ */
+function isValidBsn(value) {
+  const digits = String(value).replace(/[ .]/g, '');
+  if (!/^\d{9}$/.test(digits) || /^0+$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 8; i++) {
+    sum += Number(digits[i]) * (9 - i);
+  }
+  sum -= Number(digits[8]);
+
+  return sum % 11 === 0;
+}
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 check
+ */
+function isValidIban(value) {
+  const iban = String(value).replace(/ /g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Mask personal data found in a string
+ */
+function redactString(text) {
+  if (typeof text !== 'string' || text.length === 0) return text;
+
+  let result = text
+    .replace(EMAIL_PATTERN, MASKS.email)
+    .replace(IBAN_PATTERN, match => isValidIban(match) ? MASKS.iban : match)
+    .replace(PHONE_PATTERN, MASKS.phone);
+
+  for (const pattern of ADDRESS_PATTERNS) {
+    result = result.replace(pattern, MASKS.address);
+  }
+
+  return result.replace(BSN_PATTERN, match => isValidBsn(match) ? MASKS.bsn : match);
+}
+
+/**
+ * Mask for a field whose name marks it as sensitive, or null
+ */
+function getSensitiveFieldMask(field) {
+  if (typeof field !== 'string') return null;
+  const match = SENSITIVE_FIELDS.find(({ pattern }) => pattern.test(field));
+  return match ? match.mask : null;
+}
+
+/**
+ * Copy of an error with personal data masked in its message and stack
+ */
+function redactError(error) {
+  const redacted = new Error(redactString(error.message));
+  redacted.name = error.name;
+  redacted.stack = redactString(error.stack);
+  if (error.code !== undefined) redacted.code = error.code;
+  if (error.details !== undefined) redacted.details = redactValue(error.details);
+  return redacted;
+}
+
+/**
+ * Deep copy of a value with personal data masked
+ *
+ * Plain objects and arrays are walked; Dates, Firestore Timestamps and
+ * other class instances are kept as they are.
+ */
+function redactValue(value, field = null) {
+  if (value === null || value === undefined) return value;
+
+  const fieldMask = getSensitiveFieldMask(field);
+  if (fieldMask && (typeof value === 'string' || typeof value === 'number')) return fieldMask;
+
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return redactError(value);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, field));
+
+  const prototype = typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+  if (prototype === Object.prototype || prototype === null) {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) result[key] = redactValue(nested, key);
+    return result;
+  }
+
+  return value;
+}
+
+module.exports = {
+  MASKS,
+  getSensitiveFieldMask,
+  isValidBsn,
+  isValidIban,
+  redactString,
+  redactValue
+};
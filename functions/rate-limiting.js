@@ -0,0 +1,246 @@
+/**
+ * SECURYFLEX RATE LIMITING ENGINE
+ * Shared per-operation rate limiting for callables and Firestore triggers
+ *
+ * This module is the single source of truth for rate limiting:
+ * - Per-operation limits per user type (RATE_LIMITS)
+ * - Per-operation windows (per minute or per hour)
+ * - Progressive penalties based on security violation history
+ */
+
+const { HttpsError } = require('firebase-functions/v2/https');
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const {
+  getSecurityViolations,
+  calculatePenaltyMultiplier,
+  logSecurityViolation
+} = require('./security-violations');
+const { recordActivity } = require('./activity-counters');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Rate limits per operation: window length and limit per user type
+ */
+const RATE_LIMITS = {
+  // Firestore operations per minute
+  user_reads: { windowMs: MINUTE_MS, limits: { default: 100, guard: 150, company: 200, admin: 1000 } },
+  user_updates: { windowMs: MINUTE_MS, limits: { default: 20, guard: 30, company: 50, admin: 200 } },
+  job_reads: { windowMs: MINUTE_MS, limits: { default: 200, guard: 300, company: 100, admin: 500 } },
+  certificate_reads: { windowMs: MINUTE_MS, limits: { default: 10, guard: 20, company: 5, admin: 100 } },
+  certificate_creates: { windowMs: MINUTE_MS, limits: { default: 5, guard: 10, company: 0, admin: 50 } },
+
+  // Storage operations per minute
+  chat_uploads: { windowMs: MINUTE_MS, limits: { default: 20, guard: 30, company: 10, admin: 100 } },
+  profile_uploads: { windowMs: MINUTE_MS, limits: { default: 5, guard: 5, company: 5, admin: 20 } },
+  cert_uploads: { windowMs: MINUTE_MS, limits: { default: 3, guard: 5, company: 0, admin: 10 } },
+
+  // Security-sensitive operations per hour
+  gdpr_requests: { windowMs: HOUR_MS, limits: { default: 3, guard: 3, company: 3, admin: 50 } },
+  password_resets: { windowMs: HOUR_MS, limits: { default: 5, guard: 5, company: 5, admin: 20 } },
+  bsn_encrypts: { windowMs: HOUR_MS, limits: { default: 0, guard: 10, company: 0, admin: 50 } },
+  bsn_decrypts: { windowMs: HOUR_MS, limits: { default: 0, guard: 0, company: 0, admin: 10 } }
+};
+
+/**
+ * Read operations counted as read activity for threat detection
+ */
+const READ_OPERATION_COLLECTIONS = {
+  user_reads: 'users',
+  job_reads: 'jobs',
+  certificate_reads: 'certificates'
+};
+
+/**
+ * Get the rate limit configuration for an operation
+ */
+function getRateLimitConfig(operation) {
+  return Object.prototype.hasOwnProperty.call(RATE_LIMITS, operation) ? RATE_LIMITS[operation] : null;
+}
+
+/**
+ * Get the base limit for a user type (a limit of 0 blocks the operation)
+ */
+function getBaseLimit(config, userType) {
+  return Object.prototype.hasOwnProperty.call(config.limits, userType)
+    ? config.limits[userType]
+    : config.limits.default;
+}
+
+/**
+ * Resolve the user type used for rate limiting from the user profile
+ */
+async function resolveUserType(userId) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  return userDoc.exists ? userDoc.data().userType || 'default' : 'default';
+}
+
+/**
+ * Return the counter for the current window, starting a new one if expired
+ */
+function currentWindow(counter, windowMs, now) {
+  if (!counter || !counter.windowStart || counter.windowStart <= now - windowMs) {
+    return { windowStart: now, count: 0 };
+  }
+  return { windowStart: counter.windowStart, count: counter.count || 0 };
+}
+
+/**
+ * Build the quota status of an operation for the current window
+ */
+function buildQuotaStatus(operation, config, effectiveLimit, counter, now) {
+  const resetAt = counter.windowStart + config.windowMs;
+  const remaining = Math.max(effectiveLimit - counter.count, 0);
+
+  return {
+    operation,
+    limit: effectiveLimit,
+    used: counter.count,
+    remaining,
+    windowMs: config.windowMs,
+    resetAt: new Date(resetAt).toISOString(),
+    // Seconds until a new request can succeed (0 if quota is left)
+    retryAfter: remaining > 0 ? 0 : Math.max(Math.ceil((resetAt - now) / 1000), 0)
+  };
+}
+
+/**
+ * Human readable window length for error messages
+ */
+function describeWindow(windowMs) {
+  return windowMs >= HOUR_MS ? 'hour' : 'minute';
+}
+
+/**
+ * Check and update the rate limit of an operation for a user
+ *
+ * Returns the remaining quota of the operation. Throws
+ * HttpsError('resource-exhausted') with the same quota as details when the
+ * limit is exceeded, so callables can let it propagate and triggers can
+ * catch it.
+ */
+async function checkRateLimit(userId, operation, userType) {
+  const config = getRateLimitConfig(operation);
+
+  if (!config) {
+    throw new HttpsError('invalid-argument', `Unknown rate limit operation: ${operation}`);
+  }
+
+  const effectiveUserType = userType || await resolveUserType(userId);
+  const limit = getBaseLimit(config, effectiveUserType);
+
+  // Apply progressive penalties based on violation history
+  const penaltyMultiplier = calculatePenaltyMultiplier(await getSecurityViolations(userId));
+  const effectiveLimit = Math.floor(limit * penaltyMultiplier);
+
+  const now = Date.now();
+  const rateLimitRef = db.collection('rate_limits').doc(userId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const rateLimitDoc = await transaction.get(rateLimitRef);
+    const rateLimitData = rateLimitDoc.exists ? rateLimitDoc.data() : {};
+
+    const counter = currentWindow(rateLimitData.operations?.[operation], config.windowMs, now);
+
+    if (counter.count >= effectiveLimit) {
+      return {
+        allowed: false,
+        attempts: counter.count + 1,
+        quota: buildQuotaStatus(operation, config, effectiveLimit, counter, now)
+      };
+    }
+
+    // Aggregate per-minute counter, read by isWithinRateLimit() in firestore.rules
+    const aggregate = currentWindow(
+      { windowStart: rateLimitData.windowStart, count: rateLimitData.requests },
+      MINUTE_MS,
+      now
+    );
+
+    transaction.set(rateLimitRef, {
+      userId,
+      windowStart: aggregate.windowStart,
+      requests: aggregate.count + 1,
+      lastRequest: now,
+      operations: {
+        [operation]: {
+          windowStart: counter.windowStart,
+          windowMs: config.windowMs,
+          count: counter.count + 1
+        }
+      }
+    }, { merge: true });
+
+    const updatedCounter = { windowStart: counter.windowStart, count: counter.count + 1 };
+
+    return {
+      allowed: true,
+      quota: buildQuotaStatus(operation, config, effectiveLimit, updatedCounter, now)
+    };
+  });
+
+  if (!result.allowed) {
+    await logSecurityViolation(userId, 'rate_limit', {
+      operation,
+      limit: effectiveLimit,
+      attempts: result.attempts
+    });
+
+    throw new HttpsError('resource-exhausted',
+      `Rate limit exceeded for ${operation}. Limit: ${effectiveLimit} per ${describeWindow(config.windowMs)}.`,
+      { ...result.quota, penaltyMultiplier });
+  }
+
+  if (Object.prototype.hasOwnProperty.call(READ_OPERATION_COLLECTIONS, operation)) {
+    await recordActivity(userId, {
+      collection: READ_OPERATION_COLLECTIONS[operation],
+      eventType: 'read'
+    }, now);
+  }
+
+  return { ...result.quota, penaltyMultiplier };
+}
+
+/**
+ * Get the current quota status of every operation for a user (read-only)
+ */
+async function getRateLimitStatus(userId, userType) {
+  const effectiveUserType = userType || await resolveUserType(userId);
+
+  const [rateLimitDoc, violations] = await Promise.all([
+    db.collection('rate_limits').doc(userId).get(),
+    getSecurityViolations(userId)
+  ]);
+
+  const rateLimitData = rateLimitDoc.exists ? rateLimitDoc.data() : {};
+  const penaltyMultiplier = calculatePenaltyMultiplier(violations);
+  const now = Date.now();
+
+  const operations = {};
+  for (const [operation, config] of Object.entries(RATE_LIMITS)) {
+    const effectiveLimit = Math.floor(getBaseLimit(config, effectiveUserType) * penaltyMultiplier);
+    const counter = currentWindow(rateLimitData.operations?.[operation], config.windowMs, now);
+    operations[operation] = buildQuotaStatus(operation, config, effectiveLimit, counter, now);
+  }
+
+  return {
+    userType: effectiveUserType,
+    penaltyMultiplier,
+    operations
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  checkRateLimit,
+  getRateLimitStatus,
+  resolveUserType
+};
@@ -0,0 +1,25 @@
+/**
+ * SECURYFLEX REDACTING LOGGER
+ * Drop-in replacement for firebase-functions/logger that masks personal
+ * data (see pii-redaction.js) in messages, objects and errors before they
+ * reach Cloud Logging.
+ */
+
+const logger = require("firebase-functions/logger");
+const { redactValue } = require('./pii-redaction');
+
+/**
+ * Wrap a logger method so all arguments are redacted
+ */
+function redacting(method) {
+  return (...args) => logger[method](...args.map(arg => redactValue(arg)));
+}
+
+module.exports = {
+  debug: redacting('debug'),
+  log: redacting('log'),
+  info: redacting('info'),
+  warn: redacting('warn'),
+  error: redacting('error'),
+  write: (entry) => logger.write(redactValue(entry))
+};
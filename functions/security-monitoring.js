@@ -3,129 +3,124 @@
  * Nederlandse Compliance + Real-time Threat Detection + Rate Limiting
  * 
  * This module implements comprehensive security monitoring for SecuryFlex:
- * - Real-time rate limiting with progressive penalties
+ * - Rate limiting of certificate and GDPR request triggers
  * - DoS protection and threat detection
  * - Nederlandse compliance monitoring (GDPR/AVG)
- * - Security audit trail with immutable logging
+ * - Security audit trail with hash-chained, tamper-evident logging
  * - BSN data protection and certificate validation
  */
 
-const { onDocumentWritten, onDocumentCreated, onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const {
+  onDocumentCreated,
+  onDocumentUpdated,
+  onDocumentWritten,
+  onDocumentWrittenWithAuthContext
+} = require('firebase-functions/v2/firestore');
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
-const { setGlobalOptions } = require("firebase-functions/v2");
-const { initializeApp } = require('firebase-admin/app');
+const { defineSecret } = require('firebase-functions/params');
+const { getApps, initializeApp } = require('firebase-admin/app');
 const { getFirestore } = require('firebase-admin/firestore');
 const { getStorage } = require('firebase-admin/storage');
-const logger = require("firebase-functions/logger");
+const logger = require('./redacting-logger');
 
 // Initialize Firebase Admin
-initializeApp();
+if (!getApps().length) {
+  initializeApp();
+}
 const db = getFirestore();
 const storage = getStorage();
 
-// Set global options for cost control and security
-setGlobalOptions({ 
-  maxInstances: 10,
-  region: 'europe-west1' // Nederlandse datacenter
-});
-
-// ========================================
-// RATE LIMITING SYSTEM
-// ========================================
-
-/**
- * Real-time rate limiting with progressive penalties
- */
-const RATE_LIMITS = {
-  // Firestore operations per minute
-  user_reads: { default: 100, guard: 150, company: 200, admin: 1000 },
-  user_updates: { default: 20, guard: 30, company: 50, admin: 200 },
-  job_reads: { default: 200, guard: 300, company: 100, admin: 500 },
-  certificate_reads: { default: 10, guard: 20, company: 5, admin: 100 },
-  certificate_creates: { default: 5, guard: 10, company: 0, admin: 50 },
-  
-  // Storage operations per minute
-  chat_uploads: { default: 20, guard: 30, company: 10, admin: 100 },
-  profile_uploads: { default: 5, guard: 5, company: 5, admin: 20 },
-  cert_uploads: { default: 3, guard: 5, company: 0, admin: 10 },
-  
-  // Security-sensitive operations per hour
-  gdpr_requests: { default: 3, guard: 3, company: 3, admin: 50 },
-  password_resets: { default: 5, guard: 5, company: 5, admin: 20 }
-};
-
-/**
- * Check and update rate limits for a user
- */
-async function checkRateLimit(userId, operation, userType = 'default') {
-  const now = Date.now();
-  const windowStart = now - (60 * 1000); // 1-minute window
-  
-  const rateLimitRef = db.collection('rate_limits').doc(userId);
-  
-  return db.runTransaction(async (transaction) => {
-    const rateLimitDoc = await transaction.get(rateLimitRef);
-    
-    let rateLimitData = rateLimitDoc.exists ? rateLimitDoc.data() : {};
-    
-    // Reset window if expired
-    if (!rateLimitData.windowStart || rateLimitData.windowStart < windowStart) {
-      rateLimitData = {
-        windowStart: now,
-        requests: 0,
-        lastRequest: now
-      };
-    }
-    
-    // Get limit for user type and operation
-    const limit = RATE_LIMITS[operation]?.[userType] || RATE_LIMITS[operation]?.default || 100;
-    
-    // Check for violations and apply progressive penalties
-    const violations = await getSecurityViolations(userId);
-    const penaltyMultiplier = calculatePenaltyMultiplier(violations);
-    const effectiveLimit = Math.floor(limit * penaltyMultiplier);
-    
-    // Check if rate limit exceeded
-    if (rateLimitData.requests >= effectiveLimit) {
-      // Log security violation
-      await logSecurityViolation(userId, 'rate_limit', {
-        operation,
-        limit: effectiveLimit,
-        attempts: rateLimitData.requests + 1
-      });
-      
-      throw new HttpsError('resource-exhausted', 
-        `Rate limit exceeded for ${operation}. Limit: ${effectiveLimit} per minute.`);
-    }
-    
-    // Update rate limit
-    rateLimitData.requests++;
-    rateLimitData.lastRequest = now;
-    
-    transaction.set(rateLimitRef, rateLimitData, { merge: true });
-    
-    return true;
-  });
-}
+// Signs erasure certificates and derives pseudonyms (Secret Manager)
+const erasureSigningKey = defineSecret('ERASURE_SIGNING_KEY');
 
-/**
- * Get security violations for progressive penalties
- */
-async function getSecurityViolations(userId) {
-  const violationDoc = await db.collection('security_violations').doc(userId).get();
-  return violationDoc.exists ? violationDoc.data() : { count: 0, severity: 'low' };
-}
+// Keyring for BSN envelope encryption (Secret Manager, see bsn-keys.js)
+const bsnKeyring = defineSecret('BSN_KEYRING');
 
-/**
- * Calculate penalty multiplier based on violation history
- */
-function calculatePenaltyMultiplier(violations) {
-  if (violations.count > 10) return 0.1; // 90% reduction
-  if (violations.count > 5) return 0.2;  // 80% reduction
-  if (violations.count > 2) return 0.5;  // 50% reduction
-  return 1.0; // No penalty
-}
+const { checkRateLimit } = require('./rate-limiting');
+const {
+  calculateDecayedScore,
+  calculatePenaltyMultiplier,
+  forgiveSecurityViolations,
+  logSecurityViolation
+} = require('./security-violations');
+const {
+  DEFAULT_THREAT_RULES,
+  clearThreatRuleCache,
+  evaluateThreatRules,
+  getActivityWindowMs,
+  loadThreatRules,
+  rulesUseCondition,
+  sanitizeThreatRule,
+  validateThreatRule
+} = require('./threat-detection');
+const { assessActivityTiming } = require('./activity-timing');
+const { TIME_ZONE, getDateKey, listDateKeys, startOfAmsterdamDay } = require('./dutch-calendar');
+const { anchorAuditChains, createSecurityAuditLog, verifyAuditChains } = require('./audit-log');
+const { archiveExpiredAuditLogs, restoreAuditArchive } = require('./audit-archive');
+const {
+  FILTER_FIELDS: AUDIT_FILTER_FIELDS,
+  decodeCursor,
+  formatAuditCsv,
+  searchAuditEntries,
+  toExportEntry,
+  validateAuditFilters
+} = require('./audit-search');
+const { loadActivityBuckets, recordActivity } = require('./activity-counters');
+const { eraseUserData, verifyErasureCertificate } = require('./gdpr-erasure');
+const {
+  buildGDPRExport,
+  buildPortabilityExport,
+  deleteExpiredExports,
+  getExportDownloadUrl
+} = require('./gdpr-export');
+const {
+  extendDeadline,
+  getResponseDeadline,
+  runDeadlineEscalation,
+  summariseRequests
+} = require('./gdpr-deadlines');
+const {
+  isRightsRequestType,
+  normaliseRequestType,
+  reviewRightsRequest,
+  startRightsRequest,
+  validateRightsRequest
+} = require('./gdpr-rights');
+const { hasConsent } = require('./consent-ledger');
+const {
+  DEFAULT_CERTIFICATE_TYPES,
+  clearCertificateTypeCache,
+  loadCertificateTypes,
+  sanitizeCertificateType,
+  validateCertificateAgainstTypes,
+  validateCertificateType
+} = require('./certificate-types');
+const { importRevocationList, recheckRevokedCertificates } = require('./certificate-revocations');
+const { processCertificateExpiry } = require('./certificate-expiry');
+const { requiresStepUp } = require('./gdpr-step-up');
+const { checkBTWCompliance } = require('./btw-compliance');
+const { checkWPBRCompliance } = require('./wpbr-compliance');
+const {
+  BSN_DECRYPT_PURPOSES,
+  encryptBsn,
+  revealBsnsForExport,
+  revealCertificateBsn,
+  rotateCertificateBsns
+} = require('./bsn-encryption');
+const {
+  processVerificationQueue,
+  reviewVerification,
+  scheduleAutomaticVerification
+} = require('./certificate-verification');
+const {
+  DEFAULT_MONITORING_CONFIG,
+  EXCLUDED_COLLECTIONS,
+  clearMonitoringConfigCache,
+  describeMonitoredWrite,
+  loadMonitoringConfig,
+  validateMonitoringConfig
+} = require('./audit-diff');
 
 // ========================================
 // SECURITY MONITORING FUNCTIONS
@@ -133,13 +128,16 @@ function calculatePenaltyMultiplier(violations) {
 
 /**
  * Monitor all document writes for suspicious activity
+ *
+ * Uses the auth context trigger: event.authId is only set on it.
  */
-exports.securityMonitor = onDocumentWritten('/{collection}/{documentId}', async (event) => {
+exports.securityMonitor = onDocumentWrittenWithAuthContext('/{collection}/{documentId}', async (event) => {
   const { collection, documentId } = event.params;
-  const { data, eventType } = event;
+  const { data } = event;
+  const eventType = getWriteEventType(data);
   
-  // Skip system collections
-  if (['rate_limits', 'security_audit', 'threat_monitoring'].includes(collection)) {
+  // Skip internal security collections
+  if (EXCLUDED_COLLECTIONS.includes(collection)) {
     return null;
   }
   
@@ -147,16 +145,29 @@ exports.securityMonitor = onDocumentWritten('/{collection}/{documentId}', async
   
   if (!userId) return null;
   
+  // Backend writes (Admin SDK: verification queue, scheduled jobs) carry
+  // no authId and are not activity of the document's owner
+  const isBackendWrite = !event.authId;
+  
   try {
     // Check for suspicious patterns
-    const suspiciousActivity = await detectSuspiciousActivity(userId, collection, eventType, data);
+    const suspiciousActivity = isBackendWrite
+      ? { detected: false, dryRunPatterns: [] }
+      : await detectSuspiciousActivity(userId, collection, eventType, data);
     
     if (suspiciousActivity.detected) {
       await handleThreatDetection(userId, suspiciousActivity);
     }
     
-    // Log all sensitive operations
-    if (['certificates', 'users', 'gdpr_requests'].includes(collection)) {
+    // Record would-be detections of rules under validation
+    if (suspiciousActivity.dryRunPatterns.length > 0) {
+      await recordDryRunDetection(userId, collection, suspiciousActivity);
+    }
+    
+    // Log changes to monitored collections with a field-level diff
+    const changeSummary = await describeMonitoredWrite(collection, eventType, data);
+    
+    if (changeSummary) {
       await createSecurityAuditLog({
         userId,
         action: eventType,
@@ -168,7 +179,8 @@ exports.securityMonitor = onDocumentWritten('/{collection}/{documentId}', async
         metadata: {
           collection,
           operation: eventType,
-          dataSize: JSON.stringify(data?.after?.data() || {}).length
+          dataSize: JSON.stringify(data?.after?.data() || {}).length,
+          ...changeSummary
         }
       });
     }
@@ -181,82 +193,38 @@ exports.securityMonitor = onDocumentWritten('/{collection}/{documentId}', async
 });
 
 /**
- * Detect suspicious activity patterns
+ * Derive create/update/delete from a document write
  */
-async function detectSuspiciousActivity(userId, collection, eventType, data) {
-  const now = Date.now();
-  const hourAgo = now - (60 * 60 * 1000);
-  
-  // Get recent user activity
-  const recentActivity = await db.collection('security_audit')
-    .where('userId', '==', userId)
-    .where('timestamp', '>', new Date(hourAgo))
-    .orderBy('timestamp', 'desc')
-    .limit(100)
-    .get();
-    
-  const activities = recentActivity.docs.map(doc => doc.data());
-  
-  // Detection patterns
-  const patterns = {
-    // Rapid-fire operations (potential bot/scraper)
-    rapidFire: activities.length > 200,
-    
-    // Mass data access
-    massAccess: activities.filter(a => a.action === 'read').length > 500,
-    
-    // Certificate manipulation
-    certManipulation: collection === 'certificates' && 
-                     activities.filter(a => a.resourceType === 'certificates').length > 20,
-    
-    // Privilege escalation attempts
-    privilegeEscalation: eventType === 'update' && 
-                        data?.after?.data()?.userType !== data?.before?.data()?.userType,
-    
-    // BSN data access patterns
-    bsnAccess: collection === 'certificates' &&
-              data?.after?.data()?.holderBsn &&
-              !data?.after?.data()?.holderBsn.startsWith('ENC:'),
-    
-    // Unusual time patterns (Nederlandse business hours)
-    unusualTiming: isOutsideBusinessHours(now)
-  };
-  
-  // Calculate risk level
-  const detectedPatterns = Object.keys(patterns).filter(key => patterns[key]);
-  const riskLevel = calculateRiskLevel(detectedPatterns);
-  
-  return {
-    detected: detectedPatterns.length > 0,
-    patterns: detectedPatterns,
-    riskLevel,
-    timestamp: now
-  };
+function getWriteEventType(change) {
+  if (!change?.before?.exists) return 'create';
+  if (!change?.after?.exists) return 'delete';
+  return 'update';
 }
 
 /**
- * Check if activity is outside Nederlandse business hours
+ * Detect suspicious activity using the configured threat detection rules
  */
-function isOutsideBusinessHours(timestamp) {
-  const date = new Date(timestamp);
-  const hour = date.getHours();
-  const day = date.getDay();
+async function detectSuspiciousActivity(userId, collection, eventType, data) {
+  const now = Date.now();
+  const rules = await loadThreatRules();
   
-  // Weekend or outside 6:00-22:00 CET
-  return day === 0 || day === 6 || hour < 6 || hour > 22;
-}
-
-/**
- * Calculate risk level based on detected patterns
- */
-function calculateRiskLevel(patterns) {
-  const highRiskPatterns = ['privilegeEscalation', 'bsnAccess', 'certManipulation'];
-  const mediumRiskPatterns = ['rapidFire', 'massAccess'];
+  // Count this write, load the user's recent activity counters and judge
+  // the timing against the user's shifts when a rule needs it
+  const [, buckets, timing] = await Promise.all([
+    recordActivity(userId, { collection, eventType }, now),
+    loadActivityBuckets(userId, getActivityWindowMs(rules), now),
+    rulesUseCondition(rules, 'unusualTiming') ? assessActivityTiming(userId, now) : null
+  ]);
   
-  if (patterns.some(p => highRiskPatterns.includes(p))) return 'critical';
-  if (patterns.some(p => mediumRiskPatterns.includes(p))) return 'high';
-  if (patterns.length > 2) return 'medium';
-  return 'low';
+  return evaluateThreatRules(rules, {
+    userId,
+    collection,
+    eventType,
+    change: data,
+    now,
+    buckets,
+    timing
+  });
 }
 
 /**
@@ -285,7 +253,27 @@ async function handleThreatDetection(userId, suspiciousActivity) {
     riskLevel: suspiciousActivity.riskLevel
   });
   
-  logger.warn(`Threat detected for user ${userId}:`, suspiciousActivity);
+  logger.warn(`Threat detected for user ${userId}:`, {
+    patterns: suspiciousActivity.patterns,
+    riskLevel: suspiciousActivity.riskLevel
+  });
+}
+
+/**
+ * Record detections of dry-run rules without blocking or penalising
+ */
+async function recordDryRunDetection(userId, collection, suspiciousActivity) {
+  await db.collection('threat_monitoring').add({
+    userId,
+    threatType: suspiciousActivity.dryRunPatterns[0],
+    severity: suspiciousActivity.dryRunRiskLevel,
+    timestamp: new Date(),
+    blocked: false,
+    dryRun: true,
+    patterns: suspiciousActivity.dryRunPatterns,
+    collection,
+    autoGenerated: true
+  });
 }
 
 // ========================================
@@ -300,25 +288,45 @@ exports.gdprComplianceMonitor = onDocumentCreated('gdpr_requests/{requestId}', a
   const { userId, requestType, legalBasis } = requestData;
   
   try {
+    // Throttle GDPR requests (hourly window)
+    await checkRateLimit(userId, 'gdpr_requests');
+    
     // Validate Nederlandse AVG requirements
     await validateAVGCompliance(requestData);
     
-    // Auto-process simple requests
-    if (requestType === 'export' && legalBasis === 'consent') {
-      await processGDPRExportRequest(userId, event.params.requestId);
-    }
+    // Set compliance timeline (one month per AVG, Amsterdam calendar)
+    const deadline = getResponseDeadline(new Date());
     
-    // Set compliance timeline (30 days per AVG)
-    const deadline = new Date();
-    deadline.setDate(deadline.getDate() + 30);
+    // BSN exports wait for step-up identity verification (gdpr-step-up.js)
+    const stepUpRequired = requiresStepUp(requestData);
     
     await event.data.ref.update({
       deadline,
       status: 'processing',
       complianceCheck: 'passed',
-      processedAt: new Date()
+      processedAt: new Date(),
+      ...(stepUpRequired ? { stepUp: { status: 'required', requiredFor: 'bsn_data', requiredAt: new Date(), codesSent: 0 } } : {})
     });
     
+    // Auto-process simple requests
+    if (stepUpRequired) {
+      await db.collection('notifications').add({
+        userId,
+        type: 'gdpr_step_up_required',
+        title: 'Bevestig uw identiteit voor uw gegevensexport',
+        body: 'Uw export bevat uw BSN. Vraag in de app een verificatiecode aan om de export te starten.',
+        requestId: event.params.requestId,
+        read: false,
+        createdAt: new Date()
+      });
+    } else if (requestType === 'export' && legalBasis === 'consent') {
+      await processGDPRExportRequest(userId, event.params.requestId);
+    } else if (normaliseRequestType(requestType) === 'portability') {
+      await processGDPRExportRequest(userId, event.params.requestId, 'portability');
+    } else if (isRightsRequestType(requestType)) {
+      await startRightsRequest(event.params.requestId);
+    }
+    
   } catch (error) {
     logger.error('GDPR compliance error:', error);
     await event.data.ref.update({
@@ -329,11 +337,234 @@ exports.gdprComplianceMonitor = onDocumentCreated('gdpr_requests/{requestId}', a
   }
 });
 
+/**
+ * Queue the export package of a GDPR export or portability request
+ */
+async function processGDPRExportRequest(userId, requestId, exportFormat = 'package') {
+  await db.collection('gdpr_requests').doc(requestId).update({
+    exportStatus: 'queued',
+    exportFormat,
+    exportQueuedAt: new Date(),
+    exportProgress: { completedSections: 0, totalSections: null, percent: 0, currentSection: null }
+  });
+  
+  logger.info(`GDPR export queued for request ${requestId}`);
+}
+
+/**
+ * Build the export package of a queued GDPR export request
+ */
+exports.processGDPRExport = onDocumentUpdated({
+  document: 'gdpr_requests/{requestId}',
+  timeoutSeconds: 540,
+  memory: '1GiB',
+  secrets: [bsnKeyring]
+}, async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const { requestId } = event.params;
+  const requestRef = event.data.after.ref;
+  
+  if (after.exportStatus !== 'queued' || before.exportStatus === 'queued') {
+    return null;
+  }
+  
+  // Claim the request so retried events do not build twice
+  const claimed = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(requestRef);
+    if (doc.data().exportStatus !== 'queued') return false;
+    
+    transaction.update(requestRef, { exportStatus: 'collecting', exportStartedAt: new Date() });
+    return true;
+  });
+  
+  if (!claimed) return null;
+  
+  const onProgress = async (progress) => {
+    await requestRef.update({
+      exportProgress: {
+        ...progress,
+        percent: Math.round(progress.completedSections / progress.totalSections * 100)
+      }
+    });
+  };
+  
+  try {
+    // Decrypted BSNs only for requests that passed step-up verification
+    const bsnRecords = requiresStepUp(after) && after.stepUp?.status === 'verified'
+      ? await revealBsnsForExport(after.userId, requestId)
+      : null;
+    
+    const result = after.exportFormat === 'portability'
+      ? await buildPortabilityExport(after.userId, requestId, onProgress, { bsnRecords })
+      : await buildGDPRExport(after.userId, requestId, after.dataTypes, onProgress, { bsnRecords });
+    
+    const downloadUrl = await getExportDownloadUrl(result.path, result.expiresAt);
+    
+    await requestRef.update({
+      status: 'completed',
+      exportStatus: 'ready',
+      exportFile: result.path,
+      exportSize: result.size,
+      exportSha256: result.sha256,
+      exportCounts: result.counts,
+      exportExpiresAt: result.expiresAt,
+      downloadUrl,
+      completedAt: new Date()
+    });
+    
+    await db.collection('notifications').add({
+      userId: after.userId,
+      type: 'gdpr_export_ready',
+      title: 'Uw gegevensexport staat klaar',
+      body: `Download uw gegevens voor ${result.expiresAt.toLocaleDateString('nl-NL', { timeZone: TIME_ZONE })}.`,
+      requestId,
+      expiresAt: result.expiresAt,
+      read: false,
+      createdAt: new Date()
+    });
+    
+    await createSecurityAuditLog({
+      userId: after.userId,
+      action: 'gdpr_export_completed',
+      resourceType: 'gdpr_requests',
+      resourceId: requestId,
+      timestamp: new Date(),
+      success: true,
+      riskLevel: 'low',
+      metadata: {
+        exportFormat: after.exportFormat || 'package',
+        dataTypes: after.dataTypes || [],
+        includesBsn: Boolean(bsnRecords),
+        exportSize: result.size,
+        counts: result.counts
+      }
+    });
+    
+  } catch (error) {
+    logger.error(`GDPR export failed for request ${requestId}:`, error);
+    await requestRef.update({
+      exportStatus: 'failed',
+      exportError: error.message,
+      exportFailedAt: new Date()
+    });
+  }
+  
+  return null;
+});
+
+/**
+ * Erase a user's data once a delete request has passed the compliance check
+ */
+exports.processGDPRErasureRequest = onDocumentUpdated({
+  document: 'gdpr_requests/{requestId}',
+  timeoutSeconds: 540,
+  memory: '1GiB',
+  secrets: [erasureSigningKey]
+}, async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const { requestId } = event.params;
+  
+  if (after.requestType !== 'delete' || before.status === 'processing' || after.status !== 'processing') {
+    return null;
+  }
+  
+  // Claim the request so retried events do not erase twice. A failed
+  // erasure is retried by moving the request back to pending and then to
+  // processing again.
+  const claimed = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(event.data.after.ref);
+    const { erasureStatus, erasureAttempts = 0 } = doc.data();
+    if (erasureStatus && erasureStatus !== 'failed') return false;
+    
+    transaction.update(doc.ref, {
+      erasureStatus: 'in_progress',
+      erasureStartedAt: new Date(),
+      erasureAttempts: erasureAttempts + 1
+    });
+    return true;
+  });
+  
+  if (!claimed) return null;
+  
+  try {
+    const certificate = await eraseUserData(after.userId, requestId, erasureSigningKey.value());
+    
+    await event.data.after.ref.update({
+      status: 'completed',
+      erasureStatus: 'completed',
+      erasureCertificate: certificate,
+      completedAt: new Date()
+    });
+    
+    await createSecurityAuditLog({
+      userId: certificate.pseudonymId,
+      action: 'gdpr_erasure_completed',
+      resourceType: 'gdpr_requests',
+      resourceId: requestId,
+      timestamp: new Date(),
+      success: true,
+      riskLevel: 'medium',
+      metadata: {
+        certificateId: certificate.certificateId,
+        retained: certificate.retained.map(entry => entry.collection)
+      }
+    });
+    
+  } catch (error) {
+    logger.error(`GDPR erasure failed for request ${requestId}:`, error);
+    await event.data.after.ref.update({
+      erasureStatus: 'failed',
+      erasureError: error.message,
+      erasureFailedAt: new Date()
+    });
+  }
+  
+  return null;
+});
+
+/**
+ * Discard guard locations written without location tracking consent
+ */
+exports.enforceLocationConsent = onDocumentWritten('guard_locations/{locationId}', async (event) => {
+  if (!event.data.after.exists) return null;
+  
+  const guardId = event.data.after.data().guardId || event.params.locationId;
+  
+  if (await hasConsent(guardId, 'location_tracking')) return null;
+  
+  await event.data.after.ref.delete();
+  
+  await createSecurityAuditLog({
+    userId: guardId,
+    action: 'location_discarded_without_consent',
+    resourceType: 'guard_locations',
+    resourceId: event.params.locationId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { purpose: 'location_tracking' }
+  });
+  
+  return null;
+});
+
 /**
  * Validate AVG (Nederlandse GDPR) compliance
  */
 async function validateAVGCompliance(requestData) {
-  const { requestType, legalBasis, dataTypes } = requestData;
+  const { requestType, legalBasis, dataTypes = [] } = requestData;
+  
+  // Type-specific validation for rectification, restriction, objection and portability
+  if (isRightsRequestType(requestType)) {
+    const errors = validateRightsRequest(requestData);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${normaliseRequestType(requestType)} request: ${errors.join('; ')}`);
+    }
+  } else if (!['export', 'delete'].includes(requestType)) {
+    throw new Error(`Unsupported GDPR request type: ${requestType}`);
+  }
   
   // Nederlandse AVG specific validations
   if (requestType === 'delete' && legalBasis === 'consent') {
@@ -347,22 +578,8 @@ async function validateAVGCompliance(requestData) {
     }
   }
   
-  // Validate BSN data handling
-  if (dataTypes.includes('bsn_data')) {
-    // BSN data requires special handling per Nederlandse privacy law
-    await validateBSNDataRequest(requestData);
-  }
-}
-
-/**
- * BSN (Burgerservicenummer) data validation
- */
-async function validateBSNDataRequest(requestData) {
-  // Nederlandse BSN privacy requirements are strict
-  if (requestData.requestType === 'export') {
-    // BSN data export requires additional verification
-    throw new Error('BSN data export requires additional identity verification per Nederlandse wet');
-  }
+  // BSN data is only exported after step-up identity verification, which
+  // gdprComplianceMonitor requires once the request passes these checks
 }
 
 // ========================================
@@ -377,22 +594,24 @@ exports.certificateSecurityMonitor = onDocumentCreated('certificates/{certificat
   const certificateId = event.params.certificateId;
   
   try {
-    // Validate Nederlandse certificate format
-    await validateNederlandseCertificate(certData);
+    // Throttle certificate creation
+    await checkRateLimit(certData.userId, 'certificate_creates');
+    
+    // Validate against the certificate type definition (format, authority, validity)
+    const failures = await validateNederlandseCertificate(certData);
     
     // Check for BSN encryption
     if (certData.holderBsn && !certData.holderBsn.startsWith('ENC:')) {
-      throw new Error('BSN data must be encrypted per Nederlandse privacy law');
+      failures.push({ rule: 'bsn_encryption', message: 'BSN data must be encrypted per Nederlandse privacy law' });
     }
     
-    // Validate certificate authority
-    await validateCertificateAuthority(certData.issuingAuthority);
-    
-    // Auto-verify known authorities
-    if (['Politie Nederland', 'VCA Nederland'].includes(certData.issuingAuthority)) {
-      await scheduleAutomaticVerification(certificateId);
+    if (failures.length > 0) {
+      throw Object.assign(new Error(failures.map(failure => failure.message).join('; ')), { failures });
     }
     
+    // Queue verification with the issuing authority
+    await scheduleAutomaticVerification(certificateId, certData);
+    
   } catch (error) {
     logger.error(`Certificate validation error for ${certificateId}:`, error);
     
@@ -400,167 +619,318 @@ exports.certificateSecurityMonitor = onDocumentCreated('certificates/{certificat
     await event.data.ref.update({
       status: 'invalid',
       validationError: error.message,
+      validationErrors: error.failures || [],
       validatedAt: new Date()
     });
     
-    // Log security violation
-    await logSecurityViolation(certData.userId, 'invalid_certificate', {
-      certificateId,
-      error: error.message
-    });
+    // Log security violation (rate limit violations are already logged)
+    if (error.code !== 'resource-exhausted') {
+      await logSecurityViolation(certData.userId, 'invalid_certificate', {
+        certificateId,
+        error: error.message,
+        failedRules: (error.failures || []).map(failure => failure.rule)
+      });
+    }
   }
 });
 
 /**
- * Validate Nederlandse certificate requirements
+ * Validate Nederlandse certificate requirements, returning every failed rule
  */
 async function validateNederlandseCertificate(certData) {
-  const { certificateNumber, certificateType, issuingAuthority } = certData;
-  
-  // Nederlandse certificate number format validation
-  const validFormats = {
-    WPBR: /^WPBR-[A-Z0-9]{8,12}$/,
-    VCA: /^VCA-[A-Z0-9]{8,10}$/,
-    BHV: /^BHV-[A-Z0-9]{6,10}$/,
-    EHBO: /^EHBO-[A-Z0-9]{6,10}$/,
-    SVPB: /^SVPB-[A-Z0-9]{8,12}$/
-  };
-  
-  if (!validFormats[certificateType]?.test(certificateNumber)) {
-    throw new Error(`Invalid ${certificateType} certificate number format`);
-  }
-  
-  // Validate expiration date
-  const now = new Date();
-  if (certData.expirationDate.toDate() <= now) {
-    throw new Error('Certificate has expired');
-  }
+  const types = await loadCertificateTypes();
+  const { type, failures } = validateCertificateAgainstTypes(certData, types);
   
   // Check certificate against known revocation lists
-  await checkCertificateRevocation(certificateNumber, certificateType);
-}
-
-/**
- * Validate certificate issuing authority
- */
-async function validateCertificateAuthority(authority) {
-  const validAuthorities = [
-    'Politie Nederland',
-    'VCA Nederland', 
-    'BHV Nederland',
-    'EHBO Nederland',
-    'SVPB',
-    'Ministerie van Justitie'
-  ];
-  
-  if (!validAuthorities.includes(authority)) {
-    throw new Error(`Invalid certificate authority: ${authority}`);
+  if (await isCertificateRevoked(certData.certificateNumber, type ? type.id : certData.certificateType)) {
+    failures.push({ rule: 'revoked', message: 'Certificate has been revoked' });
   }
+  
+  return failures;
 }
 
 /**
- * Check certificate against revocation lists
+ * Check certificate against the imported revocation lists
  */
-async function checkCertificateRevocation(certificateNumber, certificateType) {
-  // In production, this would check against real Nederlandse certificate databases
-  // For now, implement basic checks
-  
+async function isCertificateRevoked(certificateNumber, certificateType) {
   const revocationRef = db.collection('certificate_revocations')
     .where('certificateNumber', '==', certificateNumber)
-    .where('certificateType', '==', certificateType);
+    .where('certificateType', '==', certificateType || null);
     
   const revoked = await revocationRef.get();
   
-  if (!revoked.empty) {
-    throw new Error('Certificate has been revoked');
-  }
-}
-
-// ========================================
-// SECURITY UTILITY FUNCTIONS
-// ========================================
-
-/**
- * Create immutable security audit log
- */
-async function createSecurityAuditLog(auditData) {
-  await db.collection('security_audit').add({
-    ...auditData,
-    timestamp: new Date(),
-    immutable: true,
-    version: '2.0'
-  });
+  return !revoked.empty;
 }
 
 /**
- * Log security violations with progressive tracking
+ * Verify queued certificates with their issuing authority
  */
-async function logSecurityViolation(userId, violationType, metadata = {}) {
-  const violationRef = db.collection('security_violations').doc(userId);
-  
-  await db.runTransaction(async (transaction) => {
-    const doc = await transaction.get(violationRef);
-    
-    const currentData = doc.exists ? doc.data() : {
-      userId,
-      count: 0,
-      violations: [],
-      severity: 'low'
-    };
-    
-    currentData.count++;
-    currentData.violations.push({
-      type: violationType,
-      timestamp: new Date(),
-      metadata
-    });
-    
-    // Update severity based on violation count and types
-    if (currentData.count > 10) currentData.severity = 'critical';
-    else if (currentData.count > 5) currentData.severity = 'high';
-    else if (currentData.count > 2) currentData.severity = 'medium';
+exports.processCertificateVerificationQueue = onSchedule({
+  schedule: '*/5 * * * *',
+  timeZone: TIME_ZONE,
+  timeoutSeconds: 300
+}, async (event) => {
+  try {
+    const results = await processVerificationQueue();
+    if (Object.keys(results).length > 0) {
+      logger.info('Certificate verification queue processed:', results);
+    }
     
-    transaction.set(violationRef, currentData, { merge: true });
-  });
-}
+  } catch (error) {
+    logger.error('Certificate verification queue error:', error);
+  }
+});
 
 /**
- * Emergency user suspension
+ * Decide a certificate verification that needs manual review (admin only)
  */
-async function emergencyUserSuspension(userId, reason) {
-  await db.collection('users').doc(userId).update({
-    suspended: true,
-    suspensionReason: reason,
-    suspendedAt: new Date(),
-    suspensionType: 'automatic'
+exports.reviewCertificateVerification = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { certificateId, decision, notes } = data || {};
+  
+  if (!certificateId) {
+    throw new HttpsError('invalid-argument', 'Certificate ID required');
+  }
+  
+  let state;
+  try {
+    state = await reviewVerification(certificateId, auth.uid, decision, notes);
+  } catch (error) {
+    if (['invalid-argument', 'not-found', 'failed-precondition'].includes(error.code)) {
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'certificate_verification_reviewed',
+    resourceType: 'certificates',
+    resourceId: certificateId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { decision, state }
   });
   
-  logger.warn(`User ${userId} suspended: ${reason}`);
-}
-
-// ========================================
-// SCHEDULED MAINTENANCE FUNCTIONS
-// ========================================
+  return { certificateId, state };
+});
 
 /**
- * Daily security cleanup and monitoring
+ * Import a revocation list uploaded to Storage (admin only)
  */
-exports.dailySecurityMaintenance = onSchedule('0 2 * * *', async (event) => {
-  logger.info('Starting daily security maintenance...');
+exports.importCertificateRevocations = onCall({ timeoutSeconds: 300, memory: '512MiB' }, async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { filePath } = data || {};
+  
+  let result;
+  try {
+    result = await importRevocationList(filePath, auth.uid);
+  } catch (error) {
+    if (['invalid-argument', 'not-found'].includes(error.code)) {
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'certificate_revocations_imported',
+    resourceType: 'revocation_imports',
+    resourceId: result.importId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'high',
+    metadata: {
+      filePath,
+      totalRows: result.totalRows,
+      imported: result.imported,
+      invalidRows: result.invalidRows,
+      failedRows: result.failedRows
+    }
+  });
+  
+  return {
+    importId: result.importId,
+    totalRows: result.totalRows,
+    imported: result.imported,
+    duplicates: result.duplicates,
+    invalidRows: result.invalidRows,
+    failedRows: result.failedRows,
+    rowErrors: result.rowErrors
+  };
+});
+
+/**
+ * Revoke verified certificates that appear on newly imported revocation lists
+ */
+exports.recheckCertificateRevocations = onSchedule({
+  schedule: '*/15 * * * *',
+  timeZone: TIME_ZONE,
+  timeoutSeconds: 540
+}, async (event) => {
+  try {
+    const results = await recheckRevokedCertificates();
+    if (results.revocations > 0) {
+      logger.info('Certificate revocation recheck completed:', results);
+    }
+    
+  } catch (error) {
+    logger.error('Certificate revocation recheck error:', error);
+  }
+});
+
+// ========================================
+// BSN PROTECTION FUNCTIONS
+// ========================================
+
+// A BSN may only be decrypted within 5 minutes of signing in
+const BSN_DECRYPT_MAX_AUTH_AGE_SECONDS = 5 * 60;
+
+/**
+ * Validate a BSN (11-proef) and encrypt it for storage in holderBsn
+ */
+exports.encryptBsn = onCall({ secrets: [bsnKeyring] }, async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+  
+  await checkRateLimit(auth.uid, 'bsn_encrypts');
+  
+  try {
+    const { ciphertext, keyVersion } = await encryptBsn(data?.bsn);
+    return { encryptedBsn: ciphertext, keyVersion };
+  } catch (error) {
+    if (error.code === 'invalid-argument') {
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Decrypt the BSN on a certificate (admin only, recent sign-in, logged)
+ */
+exports.decryptCertificateBsn = onCall({ secrets: [bsnKeyring] }, async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  if (!auth.token.email_verified) {
+    throw new HttpsError('permission-denied', 'Verified email required');
+  }
+  
+  const authAge = Math.floor(Date.now() / 1000) - (auth.token.auth_time || 0);
+  if (authAge > BSN_DECRYPT_MAX_AUTH_AGE_SECONDS) {
+    throw new HttpsError('unauthenticated', 'Sign in again to view a BSN');
+  }
+  
+  const { certificateId, purpose, justification } = data || {};
+  
+  if (!certificateId) {
+    throw new HttpsError('invalid-argument', 'Certificate ID required');
+  }
+  
+  await checkRateLimit(auth.uid, 'bsn_decrypts');
+  
+  let bsn;
+  try {
+    bsn = await revealCertificateBsn(certificateId, auth.uid, { purpose, justification });
+  } catch (error) {
+    if (['invalid-argument', 'not-found', 'failed-precondition'].includes(error.code)) {
+      throw new HttpsError(error.code, error.message, error.code === 'invalid-argument' ? { purposes: BSN_DECRYPT_PURPOSES } : undefined);
+    }
+    throw error;
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'bsn_decrypted',
+    resourceType: 'certificates',
+    resourceId: certificateId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'high',
+    metadata: { purpose }
+  });
+  
+  return { certificateId, bsn };
+});
+
+/**
+ * Re-encrypt certificate BSNs under the newest key version
+ */
+exports.rotateBsnEncryptionKeys = onSchedule({
+  schedule: '0 3 * * *',
+  timeZone: TIME_ZONE,
+  timeoutSeconds: 540,
+  secrets: [bsnKeyring]
+}, async (event) => {
+  try {
+    const run = await rotateCertificateBsns({ timeBudgetMs: 8 * 60 * 1000 });
+    logger.info('BSN key rotation run completed:', run);
+    
+  } catch (error) {
+    logger.error('BSN key rotation error:', error);
+  }
+});
+
+// ========================================
+// SECURITY UTILITY FUNCTIONS
+// ========================================
+
+/**
+ * Emergency user suspension
+ */
+async function emergencyUserSuspension(userId, reason) {
+  await db.collection('users').doc(userId).update({
+    suspended: true,
+    suspensionReason: reason,
+    suspendedAt: new Date(),
+    suspensionType: 'automatic'
+  });
+  
+  logger.warn(`User ${userId} suspended: ${reason}`);
+}
+
+// ========================================
+// SCHEDULED MAINTENANCE FUNCTIONS
+// ========================================
+
+/**
+ * Daily security cleanup and monitoring
+ */
+exports.dailySecurityMaintenance = onSchedule({
+  schedule: '0 2 * * *',
+  timeZone: TIME_ZONE
+}, async (event) => {
+  logger.info('Starting daily security maintenance...');
   
   try {
     // Clean up expired rate limits
     await cleanupExpiredRateLimits();
     
-    // Clean up old audit logs (keep 1 year for Nederlandse compliance)
-    await cleanupOldAuditLogs();
+    // Delete expired GDPR export packages
+    const expiredExports = await deleteExpiredExports();
+    logger.info(`Deleted ${expiredExports} expired GDPR export packages`);
     
     // Generate daily security report
     await generateDailySecurityReport();
     
-    // Check certificate expirations
-    await checkCertificateExpirations();
-    
     // Validate Nederlandse compliance
     await validateNederlandseCompliance();
     
@@ -571,6 +941,83 @@ exports.dailySecurityMaintenance = onSchedule('0 2 * * *', async (event) => {
   }
 });
 
+/**
+ * Send staged certificate expiry reminders and expire certificates
+ * (Nederlandse compliance: guards may not work on an expired WPBR pass)
+ */
+exports.processCertificateExpiryReminders = onSchedule({
+  schedule: '0 9 * * *',
+  timeZone: TIME_ZONE,
+  timeoutSeconds: 540
+}, async (event) => {
+  try {
+    const results = await processCertificateExpiry();
+    logger.info('Certificate expiry processing completed:', results);
+    
+  } catch (error) {
+    logger.error('Certificate expiry processing error:', error);
+  }
+});
+
+/**
+ * Anchor yesterday's audit chain heads (Amsterdam time)
+ */
+exports.anchorAuditChainsDaily = onSchedule({
+  schedule: '15 0 * * *',
+  timeZone: TIME_ZONE
+}, async (event) => {
+  const dateKey = getDateKey(startOfAmsterdamDay(Date.now(), -1));
+  
+  try {
+    const anchor = await anchorAuditChains(dateKey);
+    logger.info(`Audit chains anchored for ${dateKey}:`, anchor.anchorHash);
+    
+  } catch (error) {
+    logger.error(`Audit chain anchoring failed for ${dateKey}:`, error);
+  }
+});
+
+/**
+ * Archive and remove audit logs past retention (Nederlandse compliance: 1 year)
+ *
+ * Runs hourly so large backlogs clear over several runs; each run stops
+ * starting new days after 8 minutes.
+ */
+exports.archiveOldAuditLogs = onSchedule({
+  schedule: '30 * * * *',
+  timeZone: TIME_ZONE,
+  timeoutSeconds: 540,
+  memory: '1GiB'
+}, async (event) => {
+  const retentionCutoff = new Date();
+  retentionCutoff.setFullYear(retentionCutoff.getFullYear() - 1);
+  
+  try {
+    const archived = await archiveExpiredAuditLogs({ retentionCutoff, timeBudgetMs: 8 * 60 * 1000 });
+    const recordCount = archived.reduce((sum, day) => sum + day.recordCount, 0);
+    logger.info(`Archived ${recordCount} audit log records from ${archived.length} day(s)`);
+    
+  } catch (error) {
+    logger.error('Audit log archival error:', error);
+  }
+});
+
+/**
+ * Escalate GDPR requests nearing their AVG deadline and mark overdue ones
+ */
+exports.monitorGDPRDeadlines = onSchedule({
+  schedule: '0 8 * * *',
+  timeZone: TIME_ZONE
+}, async (event) => {
+  try {
+    const result = await runDeadlineEscalation();
+    logger.info(`GDPR deadlines checked: ${result.checked} open, ${result.escalated} escalated, ${result.overdue} overdue`);
+    
+  } catch (error) {
+    logger.error('GDPR deadline monitoring error:', error);
+  }
+});
+
 /**
  * Clean up expired rate limit records
  */
@@ -591,37 +1038,13 @@ async function cleanupExpiredRateLimits() {
   logger.info(`Cleaned up ${expiredDocs.size} expired rate limit records`);
 }
 
-/**
- * Clean up old audit logs (Nederlandse compliance: 1 year retention)
- */
-async function cleanupOldAuditLogs() {
-  const oneYearAgo = new Date();
-  oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-  
-  const batch = db.batch();
-  const oldLogs = await db.collection('security_audit')
-    .where('timestamp', '<', oneYearAgo)
-    .limit(1000)
-    .get();
-    
-  oldLogs.docs.forEach(doc => {
-    batch.delete(doc.ref);
-  });
-  
-  await batch.commit();
-  logger.info(`Cleaned up ${oldLogs.size} old audit log records`);
-}
-
 /**
  * Generate daily security report
  */
 async function generateDailySecurityReport() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  yesterday.setHours(0, 0, 0, 0);
-  
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Report on yesterday in Amsterdam time
+  const today = startOfAmsterdamDay(Date.now());
+  const yesterday = startOfAmsterdamDay(Date.now(), -1);
   
   // Get security statistics
   const threats = await db.collection('threat_monitoring')
@@ -629,15 +1052,16 @@ async function generateDailySecurityReport() {
     .where('timestamp', '<', today)
     .get();
     
-  const violations = await db.collection('security_violations')
+  const violationHistory = await db.collectionGroup('violation_history')
     .where('timestamp', '>=', yesterday)
     .where('timestamp', '<', today)
     .get();
+  const violations = violationHistory.docs.filter(doc => doc.data().type !== 'forgiveness');
     
   const report = {
-    date: yesterday.toISOString().split('T')[0],
+    date: getDateKey(yesterday),
     threatsDetected: threats.size,
-    violationsRecorded: violations.size,
+    violationsRecorded: violations.length,
     threatsByType: {},
     violationsBySeverity: {},
     generatedAt: new Date()
@@ -650,7 +1074,7 @@ async function generateDailySecurityReport() {
   });
   
   // Aggregate violation data
-  violations.docs.forEach(doc => {
+  violations.forEach(doc => {
     const data = doc.data();
     report.violationsBySeverity[data.severity] = (report.violationsBySeverity[data.severity] || 0) + 1;
   });
@@ -659,38 +1083,6 @@ async function generateDailySecurityReport() {
   logger.info('Daily security report generated:', report);
 }
 
-/**
- * Check certificate expirations (Nederlandse compliance)
- */
-async function checkCertificateExpirations() {
-  const thirtyDaysFromNow = new Date();
-  thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-  
-  const expiringCerts = await db.collection('certificates')
-    .where('expirationDate', '<=', thirtyDaysFromNow)
-    .where('status', '==', 'verified')
-    .get();
-    
-  for (const doc of expiringCerts.docs) {
-    const certData = doc.data();
-    
-    // Send expiration warning
-    await db.collection('certificate_alerts').add({
-      userId: certData.userId,
-      certificateId: doc.id,
-      alertType: 'expiration_warning',
-      expirationDate: certData.expirationDate,
-      daysUntilExpiration: Math.ceil(
-        (certData.expirationDate.toDate() - new Date()) / (1000 * 60 * 60 * 24)
-      ),
-      sent: false,
-      createdAt: new Date()
-    });
-  }
-  
-  logger.info(`Found ${expiringCerts.size} expiring certificates`);
-}
-
 /**
  * Validate Nederlandse compliance status
  */
@@ -712,7 +1104,8 @@ async function validateNederlandseCompliance() {
         lastCheck: new Date(),
         nextCheck: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
         violations: result.violations || [],
-        riskScore: result.riskScore || 0
+        riskScore: result.riskScore || 0,
+        summary: result.summary || null
       }, { merge: true });
       
     } catch (error) {
@@ -721,17 +1114,25 @@ async function validateNederlandseCompliance() {
   }
 }
 
-// Placeholder compliance validation functions
+// Placeholder GDPR compliance validation
 async function validateGDPRCompliance() {
   return { compliant: true, violations: [], riskScore: 0 };
 }
 
+/**
+ * WPBR: guard certificates on active and upcoming shifts, and the
+ * ND-nummer/vergunning of companies with active jobs or shifts
+ */
 async function validateWPBRCompliance() {
-  return { compliant: true, violations: [], riskScore: 0 };
+  return checkWPBRCompliance();
 }
 
+/**
+ * BTW: numbering, BTW numbers, rates, required fields and totals of
+ * recent invoices
+ */
 async function validateBTWCompliance() {
-  return { compliant: true, violations: [], riskScore: 0 };
+  return checkBTWCompliance();
 }
 
 // ========================================
@@ -767,6 +1168,597 @@ exports.triggerSecurityAssessment = onCall(async (request) => {
   return results;
 });
 
+/**
+ * View a user's violation score and history
+ */
+exports.getUserViolationHistory = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { userId, limit = 50 } = data || {};
+  
+  if (!userId) {
+    throw new HttpsError('invalid-argument', 'User ID required');
+  }
+  
+  const violationRef = db.collection('security_violations').doc(userId);
+  
+  const [violationDoc, history] = await Promise.all([
+    violationRef.get(),
+    violationRef.collection('violation_history')
+      .orderBy('timestamp', 'desc')
+      .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+      .get()
+  ]);
+  
+  const violations = violationDoc.exists ? violationDoc.data() : { count: 0, score: 0 };
+  
+  return {
+    userId,
+    count: violations.count || 0,
+    score: calculateDecayedScore(violations),
+    penaltyMultiplier: calculatePenaltyMultiplier(violations),
+    lastViolationAt: violations.lastViolationAt?.toDate().toISOString() || null,
+    lastForgivenAt: violations.lastForgivenAt?.toDate().toISOString() || null,
+    history: history.docs.map(doc => {
+      const entry = doc.data();
+      return {
+        id: doc.id,
+        ...entry,
+        timestamp: entry.timestamp.toDate().toISOString()
+      };
+    })
+  };
+});
+
+/**
+ * Forgive (part of) a user's violation score after review
+ */
+exports.forgiveUserViolations = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { userId, reason, points = null } = data || {};
+  
+  if (!userId) {
+    throw new HttpsError('invalid-argument', 'User ID required');
+  }
+  
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new HttpsError('invalid-argument', 'Reason required');
+  }
+  
+  if (points !== null && !(typeof points === 'number' && points > 0)) {
+    throw new HttpsError('invalid-argument', 'Points must be a positive number');
+  }
+  
+  const result = await forgiveSecurityViolations(userId, {
+    adminId: auth.uid,
+    reason: reason.trim(),
+    points
+  });
+  
+  if (!result) {
+    throw new HttpsError('not-found', 'No violations recorded for user');
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: points === null ? 'security_violations_reset' : 'security_violations_forgiven',
+    resourceType: 'security_violations',
+    resourceId: userId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { reason: reason.trim(), ...result }
+  });
+  
+  logger.info(`Violations of user ${userId} forgiven by admin ${auth.uid}`);
+  
+  return { userId, ...result };
+});
+
+/**
+ * Effective threat detection rules (defaults merged with Firestore overrides)
+ */
+exports.getThreatDetectionRules = onCall(async (request) => {
+  const { auth } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const rules = await loadThreatRules({ forceRefresh: true });
+  
+  return { rules: Object.values(rules) };
+});
+
+/**
+ * Create or update a threat detection rule
+ */
+exports.upsertThreatDetectionRule = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { ruleId } = data || {};
+  const rule = sanitizeThreatRule(data?.rule);
+  
+  if (typeof ruleId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(ruleId)) {
+    throw new HttpsError('invalid-argument', 'Valid rule ID required');
+  }
+  
+  const defaults = Object.prototype.hasOwnProperty.call(DEFAULT_THREAT_RULES, ruleId)
+    ? DEFAULT_THREAT_RULES[ruleId]
+    : {};
+  const errors = validateThreatRule({ ...defaults, ...rule });
+  
+  if (errors.length > 0) {
+    throw new HttpsError('invalid-argument', 'Invalid threat detection rule', { errors });
+  }
+  
+  await db.collection('threat_detection_rules').doc(ruleId).set({
+    ...rule,
+    updatedBy: auth.uid,
+    updatedAt: new Date()
+  }, { merge: true });
+  
+  clearThreatRuleCache();
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'threat_rule_updated',
+    resourceType: 'threat_detection_rules',
+    resourceId: ruleId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { rule }
+  });
+  
+  return { ruleId, rule: { ...defaults, ...rule } };
+});
+
+/**
+ * View the effective certificate type definitions
+ */
+exports.getCertificateTypes = onCall(async (request) => {
+  const { auth } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const types = await loadCertificateTypes({ forceRefresh: true });
+  
+  return { types: Object.values(types) };
+});
+
+/**
+ * Create or update a certificate type definition
+ */
+exports.upsertCertificateType = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { typeId } = data || {};
+  const definition = sanitizeCertificateType(data?.definition);
+  
+  if (typeof typeId !== 'string' || !/^[A-Z0-9_]{2,40}$/.test(typeId)) {
+    throw new HttpsError('invalid-argument', 'Valid type ID required (A-Z, 0-9, _)');
+  }
+  
+  const defaults = Object.prototype.hasOwnProperty.call(DEFAULT_CERTIFICATE_TYPES, typeId)
+    ? DEFAULT_CERTIFICATE_TYPES[typeId]
+    : {};
+  const errors = validateCertificateType({ ...defaults, ...definition });
+  
+  if (errors.length > 0) {
+    throw new HttpsError('invalid-argument', 'Invalid certificate type', { errors });
+  }
+  
+  await db.collection('certificate_types').doc(typeId).set({
+    ...definition,
+    updatedBy: auth.uid,
+    updatedAt: new Date()
+  }, { merge: true });
+  
+  clearCertificateTypeCache();
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'certificate_type_updated',
+    resourceType: 'certificate_types',
+    resourceId: typeId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { definition }
+  });
+  
+  return { typeId, definition: { ...defaults, ...definition } };
+});
+
+/**
+ * View which collections and fields are audited by securityMonitor
+ */
+exports.getAuditMonitoringConfig = onCall(async (request) => {
+  const { auth } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const config = await loadMonitoringConfig({ forceRefresh: true });
+  return { collections: config, excludedCollections: EXCLUDED_COLLECTIONS };
+});
+
+/**
+ * Create or update the audit monitoring config of a collection
+ */
+exports.upsertAuditMonitoringConfig = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { collection, enabled, fields, ignoreFields } = data || {};
+  
+  if (typeof collection !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(collection)) {
+    throw new HttpsError('invalid-argument', 'Valid collection name required');
+  }
+  
+  if (EXCLUDED_COLLECTIONS.includes(collection)) {
+    throw new HttpsError('invalid-argument', `${collection} is an internal collection and cannot be monitored`);
+  }
+  
+  const update = {};
+  if (enabled !== undefined) update.enabled = enabled;
+  if (fields !== undefined) update.fields = fields;
+  if (ignoreFields !== undefined) update.ignoreFields = ignoreFields;
+  
+  const defaults = DEFAULT_MONITORING_CONFIG[collection] || {};
+  const config = { ...defaults, ...update };
+  const errors = validateMonitoringConfig(config);
+  
+  if (errors.length > 0) {
+    throw new HttpsError('invalid-argument', 'Invalid audit monitoring config', { errors });
+  }
+  
+  await db.collection('audit_monitoring_config').doc(collection).set({
+    ...update,
+    updatedBy: auth.uid,
+    updatedAt: new Date()
+  }, { merge: true });
+  
+  clearMonitoringConfigCache();
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'audit_monitoring_updated',
+    resourceType: 'audit_monitoring_config',
+    resourceId: collection,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { config: update }
+  });
+  
+  return { collection, config };
+});
+
+/**
+ * Verify the audit log hash chains over a date range
+ */
+exports.verifyAuditChain = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { startDate, endDate = startDate } = data || {};
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  
+  if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '') || startDate > endDate) {
+    throw new HttpsError('invalid-argument', 'Valid startDate and endDate (YYYY-MM-DD) required');
+  }
+  
+  const dateKeys = listDateKeys(startDate, endDate);
+  
+  if (dateKeys.length > 31) {
+    throw new HttpsError('invalid-argument', 'Date range may span at most 31 days');
+  }
+  
+  const result = await verifyAuditChains(dateKeys);
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'audit_chain_verified',
+    resourceType: 'security_audit',
+    resourceId: `${startDate}..${endDate}`,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: result.valid ? 'low' : 'critical',
+    metadata: { valid: result.valid, firstBrokenLink: result.firstBrokenLink }
+  });
+  
+  if (!result.valid) {
+    logger.error('Audit chain verification failed:', result.firstBrokenLink);
+  }
+  
+  return { startDate, endDate, ...result };
+});
+
+/**
+ * Restore an archived audit day for an investigation (admin only)
+ */
+exports.restoreAuditArchive = onCall({ timeoutSeconds: 540, memory: '1GiB' }, async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { date, reason } = data || {};
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    throw new HttpsError('invalid-argument', 'Valid date (YYYY-MM-DD) required');
+  }
+  
+  if (!reason || typeof reason !== 'string') {
+    throw new HttpsError('invalid-argument', 'Reason required');
+  }
+  
+  let result;
+  try {
+    result = await restoreAuditArchive(date, auth.uid);
+  } catch (error) {
+    logger.error(`Audit archive restore failed for ${date}:`, error);
+    await createSecurityAuditLog({
+      userId: auth.uid,
+      action: 'audit_archive_restored',
+      resourceType: 'audit_archives',
+      resourceId: date,
+      timestamp: new Date(),
+      success: false,
+      riskLevel: 'high',
+      metadata: { reason, error: error.message }
+    });
+    throw new HttpsError('data-loss', 'Audit archive could not be verified');
+  }
+  
+  if (!result) {
+    throw new HttpsError('not-found', `No audit archive for ${date}`);
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'audit_archive_restored',
+    resourceType: 'audit_archives',
+    resourceId: date,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { reason, recordCount: result.recordCount }
+  });
+  
+  return { ...result, collection: `audit_restores/${date}/entries` };
+});
+
+/**
+ * Verify the signature of a GDPR erasure certificate (admin only)
+ */
+exports.verifyGDPRErasureCertificate = onCall({ secrets: [erasureSigningKey] }, async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { requestId } = data || {};
+  
+  if (!requestId) {
+    throw new HttpsError('invalid-argument', 'Request ID required');
+  }
+  
+  const requestDoc = await db.collection('gdpr_requests').doc(requestId).get();
+  const certificate = requestDoc.exists ? requestDoc.data().erasureCertificate : null;
+  
+  if (!certificate) {
+    throw new HttpsError('not-found', 'No erasure certificate for this request');
+  }
+  
+  return {
+    requestId,
+    certificateId: certificate.certificateId,
+    valid: verifyErasureCertificate(certificate, erasureSigningKey.value())
+  };
+});
+
+/**
+ * Extend a GDPR request's deadline by two months (admin only, AVG art. 12 lid 3)
+ */
+exports.extendGDPRDeadline = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { requestId, justification } = data || {};
+  
+  if (!requestId) {
+    throw new HttpsError('invalid-argument', 'Request ID required');
+  }
+  
+  let extension;
+  try {
+    extension = await extendDeadline(requestId, auth.uid, justification);
+  } catch (error) {
+    if (['invalid-argument', 'not-found', 'failed-precondition'].includes(error.code)) {
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'gdpr_deadline_extended',
+    resourceType: 'gdpr_requests',
+    resourceId: requestId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: {
+      originalDeadline: extension.originalDeadline.toISOString(),
+      newDeadline: extension.newDeadline.toISOString(),
+      justification: extension.justification
+    }
+  });
+  
+  return {
+    requestId,
+    originalDeadline: extension.originalDeadline.toISOString(),
+    newDeadline: extension.newDeadline.toISOString()
+  };
+});
+
+/**
+ * Decide a rectification, restriction or objection request (admin only)
+ */
+exports.reviewGDPRRequest = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { requestId, decision, reason, approvedChanges } = data || {};
+  
+  if (!requestId || !decision) {
+    throw new HttpsError('invalid-argument', 'Request ID and decision required');
+  }
+  
+  let stage;
+  try {
+    stage = await reviewRightsRequest(requestId, auth.uid, decision, { reason, approvedChanges });
+  } catch (error) {
+    if (['invalid-argument', 'not-found', 'failed-precondition'].includes(error.code)) {
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+  
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: 'gdpr_request_reviewed',
+    resourceType: 'gdpr_requests',
+    resourceId: requestId,
+    timestamp: new Date(),
+    success: true,
+    riskLevel: 'medium',
+    metadata: { decision, stage, reason: reason || null }
+  });
+  
+  return { requestId, stage };
+});
+
+/**
+ * Summary of GDPR requests per type for the privacy officer (admin only)
+ */
+exports.getGDPRRequestSummary = onCall(async (request) => {
+  const { auth } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  return summariseRequests();
+});
+
+/**
+ * Search the security audit log, as entries or CSV (admin only)
+ */
+exports.searchAuditLogs = onCall(async (request) => {
+  const { auth, data } = request;
+  
+  if (!auth || !await isAdmin(auth.uid)) {
+    throw new HttpsError('permission-denied', 'Admin access required');
+  }
+  
+  const { cursor, format = 'json', limit, ...rest } = data || {};
+  
+  if (!['json', 'csv'].includes(format)) {
+    throw new HttpsError('invalid-argument', 'Format must be json or csv');
+  }
+  
+  const filters = {};
+  [...AUDIT_FILTER_FIELDS, 'startDate', 'endDate'].forEach(field => {
+    if (rest[field] !== undefined && rest[field] !== null && rest[field] !== '') filters[field] = rest[field];
+  });
+  
+  const errors = validateAuditFilters(filters);
+  if (errors.length > 0) {
+    throw new HttpsError('invalid-argument', 'Invalid audit log filters', { errors });
+  }
+  
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) {
+    throw new HttpsError('invalid-argument', 'Invalid cursor');
+  }
+  
+  // CSV exports are fetched in larger pages than interactive searches
+  const maxLimit = format === 'csv' ? 5000 : 100;
+  const pageSize = Math.min(Math.max(Number(limit) || maxLimit, 1), maxLimit);
+  
+  let page;
+  try {
+    page = await searchAuditEntries(filters, { cursor: position, limit: pageSize });
+  } catch (error) {
+    // Filter combinations without a composite index
+    if (error.code === 9) {
+      logger.error('Audit log search needs an index:', error.message);
+      throw new HttpsError('failed-precondition', 'This filter combination is not supported');
+    }
+    throw error;
+  }
+  
+  const entries = page.entries.map(toExportEntry);
+  
+  // Reading the audit trail is itself audited
+  await createSecurityAuditLog({
+    userId: auth.uid,
+    action: format === 'csv' ? 'audit_log_exported' : 'audit_log_searched',
+    resourceType: 'security_audit',
+    resourceId: 'search',
+    timestamp: new Date(),
+    success: true,
+    riskLevel: format === 'csv' ? 'medium' : 'low',
+    metadata: { filters, format, resultCount: entries.length, paged: Boolean(cursor) }
+  });
+  
+  const result = { count: entries.length, nextCursor: page.nextCursor };
+  
+  if (format === 'csv') {
+    return { ...result, csv: formatAuditCsv(entries) };
+  }
+  
+  return { ...result, entries };
+});
+
 /**
  * Perform comprehensive security assessment
  */
@@ -789,7 +1781,7 @@ async function performSecurityAssessment() {
   
   // Check rate limit violations
   const rateLimitViolations = await db.collection('security_violations')
-    .where('violations', 'array-contains-any', ['rate_limit'])
+    .where('violationTypes', 'array-contains', 'rate_limit')
     .get();
     
   results.checks.rateLimitViolations = {
@@ -0,0 +1,211 @@
+/**
+ * SECURYFLEX SECURITY VIOLATION TRACKING
+ * Progressive penalty bookkeeping shared by rate limiting and threat detection
+ *
+ * This module owns the security_violations/{userId} documents:
+ * - Recording weighted violations with a time-decaying score
+ * - Keeping the violation history in the violation_history subcollection
+ * - Translating the decayed score into a rate limit penalty multiplier
+ * - Forgiving violations after admin review
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { redactValue } = require('./pii-redaction');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+/**
+ * Score added per violation type (unknown types weigh 1)
+ */
+const VIOLATION_WEIGHTS = {
+  rate_limit: 1,
+  invalid_certificate: 2,
+  suspicious_activity: 3
+};
+
+/**
+ * Score for suspicious activity by the detection's riskLevel; low-risk
+ * detections (e.g. a single unusual-timing write) are recorded in the
+ * history but do not add to the score
+ */
+const SUSPICIOUS_ACTIVITY_WEIGHTS = {
+  low: 0,
+  medium: 1,
+  high: 3,
+  critical: 5
+};
+
+// Violation scores halve every week without new violations
+const VIOLATION_SCORE_HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a Firestore Timestamp, Date or epoch millis to epoch millis
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Get the weight of a violation (suspicious activity by its riskLevel)
+ */
+function getViolationWeight(violationType, metadata = {}) {
+  if (violationType === 'suspicious_activity' &&
+      Object.prototype.hasOwnProperty.call(SUSPICIOUS_ACTIVITY_WEIGHTS, metadata.riskLevel)) {
+    return SUSPICIOUS_ACTIVITY_WEIGHTS[metadata.riskLevel];
+  }
+  return Object.prototype.hasOwnProperty.call(VIOLATION_WEIGHTS, violationType)
+    ? VIOLATION_WEIGHTS[violationType]
+    : 1;
+}
+
+/**
+ * Calculate the violation score decayed to the given moment
+ *
+ * Documents written before scoring existed only carry a count and a
+ * violations array; their count decays from the last recorded violation.
+ */
+function calculateDecayedScore(violations, now = Date.now()) {
+  const legacyViolations = Array.isArray(violations.violations) ? violations.violations : [];
+  const score = violations.score ?? violations.count ?? 0;
+  const scoredAt = toMillis(violations.scoreUpdatedAt) ??
+    toMillis(legacyViolations[legacyViolations.length - 1]?.timestamp);
+
+  if (!score || !scoredAt) return score || 0;
+
+  const elapsed = Math.max(now - scoredAt, 0);
+  return score * Math.pow(0.5, elapsed / VIOLATION_SCORE_HALF_LIFE_MS);
+}
+
+/**
+ * Severity for a (decayed) violation score
+ */
+function calculateSeverity(score) {
+  if (score > 10) return 'critical';
+  if (score > 5) return 'high';
+  if (score > 2) return 'medium';
+  return 'low';
+}
+
+/**
+ * Get security violations for progressive penalties
+ */
+async function getSecurityViolations(userId) {
+  const violationDoc = await db.collection('security_violations').doc(userId).get();
+  return violationDoc.exists ? violationDoc.data() : { count: 0, score: 0, severity: 'low' };
+}
+
+/**
+ * Calculate penalty multiplier based on the decayed violation score
+ */
+function calculatePenaltyMultiplier(violations) {
+  const score = calculateDecayedScore(violations);
+
+  if (score > 10) return 0.1; // 90% reduction
+  if (score > 5) return 0.2;  // 80% reduction
+  if (score > 2) return 0.5;  // 50% reduction
+  return 1.0; // No penalty
+}
+
+/**
+ * Log security violations with progressive tracking
+ */
+async function logSecurityViolation(userId, violationType, metadata = {}) {
+  const violationRef = db.collection('security_violations').doc(userId);
+  const historyRef = violationRef.collection('violation_history').doc();
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(violationRef);
+    const currentData = doc.exists ? doc.data() : { count: 0 };
+
+    const now = new Date();
+    const weight = getViolationWeight(violationType, metadata);
+    const score = calculateDecayedScore(currentData, now.getTime()) + weight;
+    const severity = calculateSeverity(score);
+
+    transaction.set(violationRef, {
+      userId,
+      count: (currentData.count || 0) + 1,
+      score,
+      scoreUpdatedAt: now,
+      severity,
+      lastViolationType: violationType,
+      lastViolationAt: now,
+      violationTypes: FieldValue.arrayUnion(violationType),
+      // History lives in the violation_history subcollection
+      violations: FieldValue.delete()
+    }, { merge: true });
+
+    transaction.create(historyRef, {
+      userId,
+      type: violationType,
+      weight,
+      scoreAfter: score,
+      severity,
+      timestamp: now,
+      metadata: redactValue(metadata)
+    });
+  });
+}
+
+/**
+ * Forgive violation score points after admin review
+ *
+ * Without points the score is reset to zero. The history is kept and
+ * the forgiveness is recorded in it.
+ */
+async function forgiveSecurityViolations(userId, { adminId, reason, points = null }) {
+  const violationRef = db.collection('security_violations').doc(userId);
+  const historyRef = violationRef.collection('violation_history').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(violationRef);
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    const now = new Date();
+    const scoreBefore = calculateDecayedScore(doc.data(), now.getTime());
+    const forgiven = points === null ? scoreBefore : Math.min(points, scoreBefore);
+    const score = scoreBefore - forgiven;
+    const severity = calculateSeverity(score);
+
+    transaction.set(violationRef, {
+      score,
+      scoreUpdatedAt: now,
+      severity,
+      lastForgivenAt: now,
+      lastForgivenBy: adminId,
+      violations: FieldValue.delete()
+    }, { merge: true });
+
+    transaction.create(historyRef, {
+      userId,
+      type: 'forgiveness',
+      weight: -forgiven,
+      scoreAfter: score,
+      severity,
+      timestamp: now,
+      metadata: { adminId, reason }
+    });
+
+    return { scoreBefore, scoreAfter: score, forgiven, severity };
+  });
+}
+
+module.exports = {
+  VIOLATION_WEIGHTS,
+  calculateDecayedScore,
+  calculatePenaltyMultiplier,
+  forgiveSecurityViolations,
+  getSecurityViolations,
+  logSecurityViolation
+};
@@ -0,0 +1,326 @@
+/**
+ * SECURYFLEX THREAT DETECTION RULE ENGINE
+ * Configurable detection rules evaluated by securityMonitor
+ *
+ * Rules live in threat_detection_rules/{ruleId} and override the built-in
+ * defaults with the same id, so thresholds can be tuned without a deploy:
+ * - activity_count rules fire when a user's matching activity in the time
+ *   window (from the activity counters) exceeds the threshold
+ * - condition rules fire when a built-in condition holds for the write
+ * - dryRun rules only record would-be detections in threat_monitoring
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('./redacting-logger');
+const { countRuleActivity } = require('./activity-counters');
+const { isOutsideBusinessHours } = require('./dutch-calendar');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const RULE_TYPES = ['activity_count', 'condition'];
+
+// Rules are re-read from Firestore at most once per minute per instance
+const RULE_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Built-in conditions available to condition rules
+ */
+const CONDITIONS = {
+  // Privilege escalation attempts
+  privilegeEscalation: ({ eventType, change }) =>
+    eventType === 'update' &&
+    change?.after?.data()?.userType !== change?.before?.data()?.userType,
+
+  // BSN data stored without encryption
+  unencryptedBsn: ({ change }) => {
+    const holderBsn = change?.after?.data()?.holderBsn;
+    return !!holderBsn && !holderBsn.startsWith('ENC:');
+  },
+
+  // Activity away from the user's shifts and usual active hours
+  unusualTiming: ({ timing }) => !!timing?.anomalous,
+
+  // Activity outside Nederlandse business hours, regardless of schedule
+  outsideBusinessHours: ({ now }) => isOutsideBusinessHours(now)
+};
+
+/**
+ * Default rules, matching the patterns that used to be hard-coded
+ */
+const DEFAULT_THREAT_RULES = {
+  rapidFire: {
+    description: 'Rapid-fire operations (potential bot/scraper)',
+    type: 'activity_count',
+    collection: '*',
+    eventType: '*',
+    threshold: 200,
+    windowMinutes: 60,
+    severity: 'high',
+    enabled: true,
+    dryRun: false
+  },
+  massAccess: {
+    description: 'Mass data access',
+    type: 'activity_count',
+    collection: '*',
+    eventType: 'read',
+    threshold: 500,
+    windowMinutes: 60,
+    severity: 'high',
+    enabled: true,
+    dryRun: false
+  },
+  certManipulation: {
+    description: 'Certificate manipulation',
+    type: 'activity_count',
+    collection: 'certificates',
+    eventType: '*',
+    threshold: 20,
+    windowMinutes: 60,
+    severity: 'critical',
+    enabled: true,
+    dryRun: false
+  },
+  privilegeEscalation: {
+    description: 'Privilege escalation attempts',
+    type: 'condition',
+    condition: 'privilegeEscalation',
+    collection: '*',
+    eventType: 'update',
+    severity: 'critical',
+    enabled: true,
+    dryRun: false
+  },
+  bsnAccess: {
+    description: 'BSN data access patterns',
+    type: 'condition',
+    condition: 'unencryptedBsn',
+    collection: 'certificates',
+    eventType: '*',
+    severity: 'critical',
+    enabled: true,
+    dryRun: false
+  },
+  unusualTiming: {
+    description: 'Activity away from assigned shifts and usual active hours',
+    type: 'condition',
+    condition: 'unusualTiming',
+    collection: '*',
+    eventType: '*',
+    severity: 'low',
+    enabled: true,
+    dryRun: false
+  }
+};
+
+let cachedRules = null;
+let cachedAt = 0;
+
+const RULE_FIELDS = [
+  'description', 'type', 'condition', 'collection', 'eventType',
+  'threshold', 'windowMinutes', 'severity', 'enabled', 'dryRun'
+];
+
+/**
+ * Keep only the known rule fields of a rule update
+ */
+function sanitizeThreatRule(rule) {
+  const sanitized = {};
+  for (const field of RULE_FIELDS) {
+    if (rule && rule[field] !== undefined) sanitized[field] = rule[field];
+  }
+  return sanitized;
+}
+
+/**
+ * Validate a threat detection rule, returning all problems found
+ */
+function validateThreatRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Rule must be an object'];
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    errors.push(`type must be one of ${RULE_TYPES.join(', ')}`);
+  }
+  if (typeof rule.collection !== 'string' || !rule.collection) {
+    errors.push('collection must be a collection name or *');
+  }
+  if (typeof rule.eventType !== 'string' || !rule.eventType) {
+    errors.push('eventType must be an event type or *');
+  }
+  if (!SEVERITY_LEVELS.includes(rule.severity)) {
+    errors.push(`severity must be one of ${SEVERITY_LEVELS.join(', ')}`);
+  }
+  if (typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (rule.dryRun !== undefined && typeof rule.dryRun !== 'boolean') {
+    errors.push('dryRun must be a boolean');
+  }
+  if (rule.type === 'activity_count') {
+    if (!Number.isInteger(rule.threshold) || rule.threshold < 0) {
+      errors.push('threshold must be a non-negative integer');
+    }
+    if (!Number.isInteger(rule.windowMinutes) || rule.windowMinutes < 1 || rule.windowMinutes > 24 * 60) {
+      errors.push('windowMinutes must be an integer between 1 and 1440');
+    }
+  }
+  if (rule.type === 'condition' && !Object.prototype.hasOwnProperty.call(CONDITIONS, rule.condition)) {
+    errors.push(`condition must be one of ${Object.keys(CONDITIONS).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Load the effective rules: defaults overridden by Firestore rules
+ */
+async function loadThreatRules({ forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedRules && Date.now() - cachedAt < RULE_CACHE_TTL_MS) {
+    return cachedRules;
+  }
+
+  const rules = {};
+  for (const [ruleId, rule] of Object.entries(DEFAULT_THREAT_RULES)) {
+    rules[ruleId] = { id: ruleId, source: 'default', ...rule };
+  }
+
+  const snapshot = await db.collection('threat_detection_rules').get();
+  snapshot.docs.forEach(doc => {
+    // Firestore documents may override only some fields of a default rule
+    const defaults = Object.prototype.hasOwnProperty.call(DEFAULT_THREAT_RULES, doc.id)
+      ? DEFAULT_THREAT_RULES[doc.id]
+      : {};
+    const rule = { ...defaults, ...doc.data() };
+    const errors = validateThreatRule(rule);
+
+    if (errors.length > 0) {
+      // Keep the previous (default) rule rather than evaluating a broken one
+      logger.warn(`Ignoring invalid threat detection rule ${doc.id}:`, errors);
+      return;
+    }
+
+    rules[doc.id] = { id: doc.id, source: 'firestore', ...rule, dryRun: rule.dryRun === true };
+  });
+
+  cachedRules = rules;
+  cachedAt = Date.now();
+  return rules;
+}
+
+/**
+ * Forget cached rules so the next evaluation re-reads Firestore
+ */
+function clearThreatRuleCache() {
+  cachedRules = null;
+  cachedAt = 0;
+}
+
+/**
+ * Longest activity window needed by the enabled activity_count rules
+ */
+function getActivityWindowMs(rules) {
+  const windows = Object.values(rules)
+    .filter(rule => rule.enabled && rule.type === 'activity_count')
+    .map(rule => rule.windowMinutes * 60 * 1000);
+
+  return windows.length > 0 ? Math.max(...windows) : 0;
+}
+
+/**
+ * Check whether an enabled rule uses a condition
+ */
+function rulesUseCondition(rules, condition) {
+  return Object.values(rules).some(rule =>
+    rule.enabled && rule.type === 'condition' && rule.condition === condition);
+}
+
+/**
+ * Check whether a rule applies to the current write
+ *
+ * The eventType of an activity_count rule filters the counted activity,
+ * not the write that triggers the evaluation.
+ */
+function ruleMatchesEvent(rule, collection, eventType) {
+  return (rule.collection === '*' || rule.collection === collection) &&
+    (rule.type === 'activity_count' || rule.eventType === '*' || rule.eventType === eventType);
+}
+
+/**
+ * Count a user's recent activity matching a rule, including the current write
+ *
+ * The current write is counted here because it is recorded in the activity
+ * counters concurrently with the evaluation.
+ */
+function countMatchingActivity(rule, context) {
+  const { buckets = [], eventType, now } = context;
+  const currentWrite = rule.eventType === '*' || rule.eventType === eventType ? 1 : 0;
+
+  return countRuleActivity(rule, buckets, now) + currentWrite;
+}
+
+/**
+ * Calculate risk level based on the severities of the triggered rules
+ */
+function calculateRiskLevel(triggeredRules) {
+  if (triggeredRules.length === 0) return 'low';
+
+  const highest = Math.max(...triggeredRules.map(rule => SEVERITY_LEVELS.indexOf(rule.severity)));
+
+  // Several simultaneous patterns are at least a medium risk
+  if (triggeredRules.length > 2) {
+    return SEVERITY_LEVELS[Math.max(highest, SEVERITY_LEVELS.indexOf('medium'))];
+  }
+  return SEVERITY_LEVELS[highest];
+}
+
+/**
+ * Evaluate all enabled rules against a write
+ *
+ * context: { collection, eventType, change, now, buckets, timing }
+ */
+function evaluateThreatRules(rules, context) {
+  const { collection, eventType, now } = context;
+  const triggered = [];
+
+  for (const rule of Object.values(rules)) {
+    if (!rule.enabled || !ruleMatchesEvent(rule, collection, eventType)) continue;
+
+    const fired = rule.type === 'activity_count'
+      ? countMatchingActivity(rule, context) > rule.threshold
+      : CONDITIONS[rule.condition](context);
+
+    if (fired) triggered.push(rule);
+  }
+
+  const enforced = triggered.filter(rule => !rule.dryRun);
+  const dryRun = triggered.filter(rule => rule.dryRun);
+
+  return {
+    detected: enforced.length > 0,
+    patterns: enforced.map(rule => rule.id),
+    riskLevel: calculateRiskLevel(enforced),
+    dryRunPatterns: dryRun.map(rule => rule.id),
+    dryRunRiskLevel: calculateRiskLevel(dryRun),
+    timestamp: now
+  };
+}
+
+module.exports = {
+  DEFAULT_THREAT_RULES,
+  clearThreatRuleCache,
+  evaluateThreatRules,
+  getActivityWindowMs,
+  loadThreatRules,
+  rulesUseCondition,
+  sanitizeThreatRule,
+  validateThreatRule
+};
@@ -0,0 +1,208 @@
+/**
+ * SECURYFLEX WPBR-NALEVING
+ * Workforce check under the Wet particuliere beveiligingsorganisaties en
+ * recherchebureaus (WPBR)
+ *
+ * - Every guard assigned to an active or upcoming shift must hold a
+ *   WPBR certificate (WPBR-certificaat or beveiligerspas) verified by the
+ *   verification queue or an admin (verificationStatus, which clients
+ *   cannot write) that is still valid when the shift ends
+ * - Every company with active jobs or upcoming shifts must have its
+ *   ND-nummer (companies/{id}.wpbr_license) on file with a valid,
+ *   unexpired vergunning (license_valid, license_expires_at)
+ *
+ * Returns concrete violations (guard, shift, company, missing or expired
+ * item) and a risk score from 0 to 100.
+ */
+
+const { getApps, initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { loadCertificateTypes, resolveCertificateType } = require('./certificate-types');
+
+// Initialize Firebase Admin
+if (!getApps().length) {
+  initializeApp();
+}
+const db = getFirestore();
+
+// Certificate types that allow a guard to work under the WPBR
+const WPBR_CERTIFICATE_TYPES = ['WPBR', 'BEVEILIGERSPAS'];
+
+// Shifts in these states have no guard on duty
+const INACTIVE_SHIFT_STATUSES = ['draft', 'cancelled', 'completed', 'noShow', 'expired'];
+
+const ND_NUMBER_PATTERN = /^ND\d{3,6}$/;
+
+// Risk points per violation; the score is capped at 100
+const VIOLATION_WEIGHTS = {
+  certificate_missing: 20,
+  certificate_expired: 20,
+  certificate_revoked: 25,
+  certificate_not_verified: 10,
+  certificate_expires_during_shift: 10,
+  nd_number_missing: 25,
+  nd_number_invalid: 15,
+  license_not_valid: 25,
+  license_expired: 25
+};
+
+// Violations stored on the monitoring document (the counts cover all)
+const MAX_REPORTED_VIOLATIONS = 500;
+
+// Firestore 'in' queries take at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Convert a Date or Firestore timestamp to a Date (null otherwise)
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return null;
+}
+
+/**
+ * WPBR certificates (WPBR-certificaat, beveiligerspas) per guard
+ */
+async function loadGuardCertificates(guardIds, types) {
+  const byGuard = new Map(guardIds.map(guardId => [guardId, []]));
+
+  for (let i = 0; i < guardIds.length; i += IN_QUERY_LIMIT) {
+    const snapshot = await db.collection('certificates')
+      .where('userId', 'in', guardIds.slice(i, i + IN_QUERY_LIMIT))
+      .get();
+
+    snapshot.docs.forEach(doc => {
+      const certificate = doc.data();
+      const type = resolveCertificateType(certificate, types);
+      if (type && WPBR_CERTIFICATE_TYPES.includes(type.id)) {
+        byGuard.get(certificate.userId).push({ id: doc.id, ...certificate });
+      }
+    });
+  }
+
+  return byGuard;
+}
+
+/**
+ * Problem with a guard's certificates for a shift, or null when one is valid
+ */
+function findCertificateProblem(certificates, shiftEnd, now) {
+  if (certificates.length === 0) return { item: 'certificate_missing' };
+
+  // status alone is not enough: verificationStatus is only written by the queue and admin review
+  const verified = certificates.filter(certificate =>
+    certificate.status === 'verified' && certificate.verificationStatus === 'verified');
+  const covering = verified.find(certificate => toDate(certificate.expirationDate) > (shiftEnd || now));
+  if (covering) return null;
+
+  const current = verified.find(certificate => toDate(certificate.expirationDate) > now);
+  if (current) {
+    return { item: 'certificate_expires_during_shift', certificateId: current.id, expiresAt: toDate(current.expirationDate) };
+  }
+
+  const [latest] = [...certificates].sort((a, b) => (toDate(b.expirationDate) || 0) - (toDate(a.expirationDate) || 0));
+  const item = latest.status === 'revoked' ? 'certificate_revoked'
+    : verified.length > 0 || latest.status === 'expired' ? 'certificate_expired'
+      : 'certificate_not_verified';
+  return { item, certificateId: latest.id, expiresAt: toDate(latest.expirationDate) };
+}
+
+/**
+ * Problem with a company's ND-nummer and vergunning, or null when on file
+ */
+function findLicenseProblem(company, now) {
+  if (!company || !company.wpbr_license) return { item: 'nd_number_missing' };
+
+  const ndNumber = String(company.wpbr_license).replace(/[\s-]/g, '').toUpperCase();
+  if (!ND_NUMBER_PATTERN.test(ndNumber)) return { item: 'nd_number_invalid', ndNumber };
+  if (company.license_valid !== true) return { item: 'license_not_valid', ndNumber };
+
+  const expiresAt = toDate(company.license_expires_at);
+  if (expiresAt && expiresAt <= now) return { item: 'license_expired', ndNumber, expiresAt };
+  return null;
+}
+
+/**
+ * Risk score from 0 (no violations) to 100
+ */
+function computeRiskScore(violations) {
+  const points = violations.reduce((sum, violation) => sum + (VIOLATION_WEIGHTS[violation.item] || 10), 0);
+  return Math.min(100, points);
+}
+
+/**
+ * Check all active and upcoming shifts and the companies behind them
+ */
+async function checkWPBRCompliance(now = new Date()) {
+  const [shiftSnapshot, jobSnapshot, types] = await Promise.all([
+    db.collection('shifts')
+      .where('endTime', '>=', now)
+      .select('assignedGuardId', 'companyId', 'startTime', 'endTime', 'status')
+      .get(),
+    db.collection('jobs')
+      .where('status', '==', 'active')
+      .select('companyId')
+      .get(),
+    loadCertificateTypes()
+  ]);
+
+  const shifts = shiftSnapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(shift => !INACTIVE_SHIFT_STATUSES.includes(shift.status));
+  const staffed = shifts.filter(shift => shift.assignedGuardId);
+  const guardIds = [...new Set(staffed.map(shift => shift.assignedGuardId))];
+  const companyIds = [...new Set([
+    ...shifts.map(shift => shift.companyId),
+    ...jobSnapshot.docs.map(doc => doc.data().companyId)
+  ].filter(Boolean))];
+
+  const certificatesByGuard = await loadGuardCertificates(guardIds, types);
+  const violations = [];
+
+  staffed.forEach(shift => {
+    const problem = findCertificateProblem(certificatesByGuard.get(shift.assignedGuardId), toDate(shift.endTime), now);
+    if (problem) {
+      violations.push({
+        type: 'guard_certificate',
+        guardId: shift.assignedGuardId,
+        shiftId: shift.id,
+        companyId: shift.companyId || null,
+        shiftStart: toDate(shift.startTime),
+        ...problem
+      });
+    }
+  });
+
+  const companyDocs = companyIds.length > 0
+    ? await db.getAll(...companyIds.map(companyId => db.collection('companies').doc(companyId)))
+    : [];
+  companyDocs.forEach(doc => {
+    const problem = findLicenseProblem(doc.exists ? doc.data() : null, now);
+    if (problem) {
+      violations.push({ type: 'company_license', companyId: doc.id, ...problem });
+    }
+  });
+
+  const byItem = {};
+  violations.forEach(violation => {
+    byItem[violation.item] = (byItem[violation.item] || 0) + 1;
+  });
+
+  return {
+    compliant: violations.length === 0,
+    violations: violations.slice(0, MAX_REPORTED_VIOLATIONS),
+    riskScore: computeRiskScore(violations),
+    summary: {
+      shiftsChecked: staffed.length,
+      guardsChecked: guardIds.length,
+      companiesChecked: companyIds.length,
+      violationCount: violations.length,
+      byItem
+    }
+  };
+}
+
+module.exports = {
+  checkWPBRCompliance
+};